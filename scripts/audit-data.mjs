@@ -1,5 +1,258 @@
 import { initDb } from './db.mjs';
 
+const parsedMinScore = Number(process.env.AUDIT_DUPLICATE_MIN_SCORE);
+const DUPLICATE_MIN_SCORE = Number.isFinite(parsedMinScore) ? parsedMinScore : 0.45;
+const parsedRareTermLimit = Number(process.env.AUDIT_RARE_TERM_LIMIT);
+const RARE_TERM_LIMIT = Number.isFinite(parsedRareTermLimit) ? parsedRareTermLimit : 3;
+
+const foldName = (value) =>
+  String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z\s-]/g, '')
+    .replace(/[\s-]+/g, ' ')
+    .trim();
+
+const normalizeCoauthor = (value) => foldName(value).replace(/\s+/g, '');
+
+const levenshtein = (a, b) => {
+  if (a === b) {
+    return 0;
+  }
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+const stringSimilarity = (a, b) => {
+  if (!a || !b) {
+    return 0;
+  }
+  return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+};
+
+const foreNamesCompatible = (a, b) => {
+  const aTokens = a.split(' ').filter(Boolean);
+  const bTokens = b.split(' ').filter(Boolean);
+  return aTokens.some((aToken) =>
+    bTokens.some((bToken) =>
+      aToken.length === 1 || bToken.length === 1
+        ? aToken[0] === bToken[0]
+        : aToken.startsWith(bToken) || bToken.startsWith(aToken)
+    )
+  );
+};
+
+const nameSimilarity = (left, right) => {
+  const leftLast = foldName(left.last_name);
+  const rightLast = foldName(right.last_name);
+  const leftFore = foldName(left.fore_name);
+  const rightFore = foldName(right.fore_name);
+  const full = stringSimilarity(
+    foldName(left.display_name || `${left.fore_name} ${left.last_name}`),
+    foldName(right.display_name || `${right.fore_name} ${right.last_name}`)
+  );
+  const lastTokensShared = leftLast
+    .split(' ')
+    .some((token) => token && rightLast.split(' ').includes(token));
+  const structured =
+    leftLast && rightLast && (leftLast === rightLast || lastTokensShared)
+      ? foreNamesCompatible(leftFore, rightFore)
+        ? 1
+        : 0.6
+      : stringSimilarity(leftLast, rightLast) * 0.8;
+  return Math.max(full, structured);
+};
+
+const groupValues = (rows, keyField, valueField, normalizeValue = (value) => value) => {
+  const map = new Map();
+  rows.forEach((row) => {
+    const value = normalizeValue(row[valueField]);
+    if (!value) {
+      return;
+    }
+    if (!map.has(row[keyField])) {
+      map.set(row[keyField], new Set());
+    }
+    map.get(row[keyField]).add(value);
+  });
+  return map;
+};
+
+const countShared = (left = new Set(), right = new Set()) => {
+  let shared = 0;
+  left.forEach((value) => {
+    if (right.has(value)) {
+      shared += 1;
+    }
+  });
+  return shared;
+};
+
+const buildMergeMatch = (row) => {
+  if (row.email) {
+    return { email: row.email };
+  }
+  if (row.orcid) {
+    return { orcid: row.orcid };
+  }
+  return { name: row.display_name };
+};
+
+const findDuplicateCandidates = (database) => {
+  const faculty = database
+    .prepare(
+      'SELECT id, display_name, fore_name, last_name, email, orcid, created_at FROM faculty WHERE active = 1 ORDER BY id'
+    )
+    .all();
+  const pmidsByFaculty = groupValues(
+    database.prepare('SELECT faculty_id, pmid FROM faculty_publications').all(),
+    'faculty_id',
+    'pmid',
+    (value) => String(value || '')
+  );
+  const coauthorsByFaculty = groupValues(
+    database.prepare('SELECT faculty_id, name FROM faculty_publication_coauthors').all(),
+    'faculty_id',
+    'name',
+    normalizeCoauthor
+  );
+  const termRows = database.prepare('SELECT faculty_id, lower(term) AS term FROM faculty_signature_terms').all();
+  const termFrequency = termRows.reduce((map, row) => {
+    map.set(row.term, (map.get(row.term) || 0) + 1);
+    return map;
+  }, new Map());
+  const rareTermsByFaculty = groupValues(
+    termRows.filter((row) => termFrequency.get(row.term) <= RARE_TERM_LIMIT),
+    'faculty_id',
+    'term'
+  );
+
+  const candidates = [];
+  for (let i = 0; i < faculty.length; i += 1) {
+    for (let j = i + 1; j < faculty.length; j += 1) {
+      const left = faculty[i];
+      const right = faculty[j];
+      const name = nameSimilarity(left, right);
+      const sharedPmids = countShared(pmidsByFaculty.get(left.id), pmidsByFaculty.get(right.id));
+      const sharedCoauthors = countShared(
+        coauthorsByFaculty.get(left.id),
+        coauthorsByFaculty.get(right.id)
+      );
+      const sharedTerms = countShared(
+        rareTermsByFaculty.get(left.id),
+        rareTermsByFaculty.get(right.id)
+      );
+      if (name < 0.6 && sharedPmids === 0) {
+        continue;
+      }
+      const score =
+        0.45 * name +
+        0.25 * Math.min(1, sharedPmids / 5) +
+        0.15 * Math.min(1, sharedCoauthors / 10) +
+        0.15 * Math.min(1, sharedTerms / 2);
+      if (score < DUPLICATE_MIN_SCORE) {
+        continue;
+      }
+      const leftPubs = pmidsByFaculty.get(left.id)?.size || 0;
+      const rightPubs = pmidsByFaculty.get(right.id)?.size || 0;
+      const [keep, merge] =
+        rightPubs > leftPubs ||
+        (rightPubs === leftPubs && String(right.created_at) < String(left.created_at))
+          ? [right, left]
+          : [left, right];
+      candidates.push({
+        score: Math.round(score * 100) / 100,
+        keep,
+        merge,
+        name: Math.round(name * 100) / 100,
+        sharedPmids,
+        sharedCoauthors,
+        sharedTerms
+      });
+    }
+  }
+  return candidates.sort((a, b) => b.score - a.score || a.keep.id.localeCompare(b.keep.id));
+};
+
+const RUN_TOTAL_FIELDS = [
+  ['pmids_returned', 'returned'],
+  ['pmids_kept', 'kept'],
+  ['pmids_rejected_affiliation', 'rejected by affiliation'],
+  ['pmids_rejected_date', 'rejected by date'],
+  ['pmids_curated_true', 'curated in'],
+  ['pmids_curated_false', 'curated out']
+];
+
+const getRunFaculty = (database, runId) =>
+  new Map(
+    database
+      .prepare('SELECT * FROM harvest_run_faculty WHERE run_id = ?')
+      .all(runId)
+      .map((row) => [row.faculty_id, row])
+  );
+
+const sumRunField = (rows, field) =>
+  Array.from(rows.values()).reduce((sum, row) => sum + (row[field] || 0), 0);
+
+const compareHarvestRuns = (database) => {
+  const [latest, previous] = database
+    .prepare(
+      `
+      SELECT id, status, started_at, finished_at, config, error
+      FROM harvest_runs
+      WHERE source = 'pubmed' AND status != 'running'
+      ORDER BY id DESC
+      LIMIT 2
+    `
+    )
+    .all();
+  if (!latest || !previous) {
+    return null;
+  }
+  const latestConfig = JSON.parse(latest.config || '{}');
+  const previousConfig = JSON.parse(previous.config || '{}');
+  const configChanges = Array.from(
+    new Set([...Object.keys(previousConfig), ...Object.keys(latestConfig)])
+  )
+    .filter((key) => JSON.stringify(previousConfig[key]) !== JSON.stringify(latestConfig[key]))
+    .map((key) => `${key}: ${JSON.stringify(previousConfig[key])} -> ${JSON.stringify(latestConfig[key])}`);
+
+  const latestFaculty = getRunFaculty(database, latest.id);
+  const previousFaculty = getRunFaculty(database, previous.id);
+  const facultyChanges = [];
+  new Set([...previousFaculty.keys(), ...latestFaculty.keys()]).forEach((facultyId) => {
+    const before = previousFaculty.get(facultyId);
+    const after = latestFaculty.get(facultyId);
+    if (!before || !after) {
+      facultyChanges.push(`${facultyId}: only in run #${after ? latest.id : previous.id}`);
+      return;
+    }
+    if (after.error && !before.error) {
+      facultyChanges.push(`${facultyId}: failed in run #${latest.id}: ${after.error}`);
+      return;
+    }
+    const bothFull = after.harvest_mode === 'full' && before.harvest_mode === 'full';
+    if (bothFull && after.pmids_kept !== before.pmids_kept) {
+      facultyChanges.push(`${facultyId}: kept ${before.pmids_kept} -> ${after.pmids_kept} (full harvests)`);
+      return;
+    }
+    if (after.harvest_mode !== before.harvest_mode) {
+      facultyChanges.push(`${facultyId}: ${before.harvest_mode} -> ${after.harvest_mode} harvest`);
+    }
+  });
+
+  return { latest, previous, latestFaculty, previousFaculty, configChanges, facultyChanges };
+};
+
 const db = initDb();
 
 const totalFaculty = db.prepare('SELECT COUNT(*) AS count FROM faculty WHERE active = 1').get().count;
@@ -36,6 +289,9 @@ const duplicateOrcidClusters = db
   )
   .all();
 
+const duplicateCandidates = findDuplicateCandidates(db);
+const harvestComparison = compareHarvestRuns(db);
+
 const publicationOnly = db
   .prepare(
     `
@@ -73,6 +329,7 @@ console.log(`Publication-only faculty: ${publicationOnly}`);
 console.log(`Grant-only faculty: ${grantOnly}`);
 console.log(`Duplicate email clusters: ${duplicateEmailClusters.length}`);
 console.log(`Duplicate ORCID clusters: ${duplicateOrcidClusters.length}`);
+console.log(`Likely duplicate identities (score >= ${DUPLICATE_MIN_SCORE}): ${duplicateCandidates.length}`);
 
 if (duplicateEmailClusters.length) {
   console.log('\nDuplicate email clusters:');
@@ -88,4 +345,49 @@ if (duplicateOrcidClusters.length) {
   });
 }
 
+if (duplicateCandidates.length) {
+  console.log('\nLikely duplicate identities (ranked):');
+  duplicateCandidates.forEach((candidate) => {
+    console.log(
+      `- ${candidate.score.toFixed(2)} ${candidate.keep.id} (${candidate.keep.display_name}) ~ ` +
+        `${candidate.merge.id} (${candidate.merge.display_name}): name ${candidate.name.toFixed(2)}, ` +
+        `${candidate.sharedPmids} shared PMIDs, ${candidate.sharedCoauthors} shared coauthors, ` +
+        `${candidate.sharedTerms} shared signature terms`
+    );
+  });
+  const aliases = duplicateCandidates.map((candidate) => ({
+    match: buildMergeMatch(candidate.merge),
+    canonicalId: candidate.keep.id,
+    reason:
+      `audit score ${candidate.score.toFixed(2)}: merge ${candidate.merge.id}; ` +
+      `name ${candidate.name.toFixed(2)}, ${candidate.sharedPmids} PMIDs, ` +
+      `${candidate.sharedCoauthors} coauthors, ${candidate.sharedTerms} terms`
+  }));
+  console.log('\nReview, then paste accepted entries into "aliases" in data/faculty-identity-overrides.json:');
+  console.log(JSON.stringify({ aliases }, null, 2));
+}
+
+if (harvestComparison) {
+  const { latest, previous, latestFaculty, previousFaculty, configChanges, facultyChanges } =
+    harvestComparison;
+  const describeRun = (run, rows) =>
+    `#${run.id} ${run.status} ${run.started_at} (${rows.size} faculty)` +
+    (run.error ? `, error: ${run.error}` : '');
+  console.log('\nLast two PubMed harvest runs:');
+  console.log(`- previous: ${describeRun(previous, previousFaculty)}`);
+  console.log(`- latest:   ${describeRun(latest, latestFaculty)}`);
+  RUN_TOTAL_FIELDS.forEach(([field, label]) => {
+    const before = sumRunField(previousFaculty, field);
+    const after = sumRunField(latestFaculty, field);
+    console.log(`- ${label}: ${before} -> ${after}`);
+  });
+  console.log(
+    configChanges.length ? `- config changes: ${configChanges.join('; ')}` : '- config unchanged'
+  );
+  if (facultyChanges.length) {
+    console.log('\nFaculty harvest changes between runs:');
+    facultyChanges.forEach((change) => console.log(`- ${change}`));
+  }
+}
+
 db.close();
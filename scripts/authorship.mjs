@@ -0,0 +1,49 @@
+export const getFacultyAuthorship = (db, facultyId) => {
+  const rows = db
+    .prepare(
+      `
+      SELECT
+        fp.pmid,
+        fp.author_position AS authorPosition,
+        (SELECT COUNT(*) FROM publication_authors pa WHERE pa.pmid = fp.pmid) AS authorCount
+      FROM faculty_publications fp
+      WHERE fp.faculty_id = ? AND fp.author_position IS NOT NULL
+    `
+    )
+    .all(facultyId);
+  const authorshipByPmid = new Map();
+  rows
+    .filter((row) => row.authorCount > 0 && row.authorPosition <= row.authorCount)
+    .forEach((row) => {
+      authorshipByPmid.set(String(row.pmid), {
+        position: row.authorPosition - 1,
+        total: row.authorCount,
+        isFirst: row.authorPosition === 1,
+        isLast: row.authorPosition === row.authorCount
+      });
+    });
+  return authorshipByPmid;
+};
+
+export const buildAuthorCounts = (publications, authorshipByPmid) => {
+  if (!authorshipByPmid || authorshipByPmid.size === 0) {
+    return null;
+  }
+  let first = 0;
+  let last = 0;
+  let known = 0;
+  publications.forEach((pub) => {
+    const entry = authorshipByPmid.get(String(pub.id));
+    if (!entry) {
+      return;
+    }
+    known += 1;
+    if (entry.isFirst) {
+      first += 1;
+    }
+    if (entry.isLast) {
+      last += 1;
+    }
+  });
+  return { first, last, total: publications.length, known };
+};
@@ -1,14 +1,16 @@
 import dotenv from 'dotenv';
 import { existsSync } from 'node:fs';
-import { readFile, writeFile } from 'node:fs/promises';
 import path from 'node:path';
 import {
   getFacultySignatureTerms,
   initDb,
   remapFacultyIdReferences,
   replaceFacultyGrants,
+  setFacultyReporterUrl,
   upsertCanonicalFaculty
 } from './db.mjs';
+import { getProgramAssociations, isDuringAnyProgram } from './programs.mjs';
+import { normalizeOrcid, parseRosterDate, readAllRosterRecords } from './rosters.mjs';
 
 const envLocal = path.resolve('.env.local');
 if (existsSync(envLocal)) {
@@ -17,8 +19,6 @@ if (existsSync(envLocal)) {
   dotenv.config();
 }
 
-const CSV_PATH = path.resolve('data', 'CTSI Faculty - Sheet1.csv');
-const OUTPUT_PATH = path.resolve('public', 'data', 'grants.json');
 const API_URL = process.env.REPORTER_API_URL || 'https://api.reporter.nih.gov/v2/projects/search';
 
 const DEFAULT_AFFILIATION = process.env.REPORTER_DEFAULT_ORG || 'University of Minnesota';
@@ -30,6 +30,7 @@ const parsedDelay = Number(process.env.REPORTER_DELAY_MS);
 const parsedLimit = Number(process.env.REPORTER_PAGE_LIMIT);
 const REQUEST_DELAY_MS = Number.isFinite(parsedDelay) ? parsedDelay : 1100;
 const PAGE_LIMIT = Number.isFinite(parsedLimit) ? parsedLimit : 500;
+const SCOPE_TO_PROGRAMS = process.env.REPORTER_SCOPE_TO_PROGRAMS === 'true';
 
 const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
 
@@ -71,76 +72,12 @@ const toSlug = (value) =>
     .replace(/[^a-z0-9]+/g, '-')
     .replace(/^-+|-+$/g, '');
 
-const parseCsv = (text) => {
-  const rows = [];
-  let row = [];
-  let field = '';
-  let inQuotes = false;
-
-  for (let i = 0; i < text.length; i += 1) {
-    const char = text[i];
-    const nextChar = text[i + 1];
-
-    if (char === '"') {
-      if (inQuotes && nextChar === '"') {
-        field += '"';
-        i += 1;
-      } else {
-        inQuotes = !inQuotes;
-      }
-      continue;
-    }
-
-    if (char === ',' && !inQuotes) {
-      row.push(field);
-      field = '';
-      continue;
-    }
-
-    if ((char === '\n' || char === '\r') && !inQuotes) {
-      if (char === '\r' && nextChar === '\n') {
-        i += 1;
-      }
-      row.push(field);
-      rows.push(row);
-      row = [];
-      field = '';
-      continue;
-    }
-
-    field += char;
-  }
-
-  if (field.length > 0 || row.length > 0) {
-    row.push(field);
-    rows.push(row);
-  }
-
-  return rows;
-};
-
 const parseSignatureTerms = (value) =>
   String(value || '')
     .split('|')
     .map((entry) => entry.trim())
     .filter(Boolean);
 
-const parseStartDate = (value) => {
-  if (!value) {
-    return null;
-  }
-  const parts = String(value).trim().split('/');
-  if (parts.length !== 3) {
-    return null;
-  }
-  const [month, day, year] = parts.map((part) => Number(part));
-  if (!month || !day || !year) {
-    return null;
-  }
-  const date = new Date(year, month - 1, day);
-  return Number.isNaN(date.getTime()) ? null : date;
-};
-
 const isEmail = (value) => String(value || '').includes('@');
 
 const buildOrgNames = (signatureTerms) => {
@@ -161,29 +98,25 @@ const buildOrgNames = (signatureTerms) => {
   return orgs;
 };
 
-const parseFaculty = (rows) => {
-  const [headerRow, ...body] = rows;
-  const headers = headerRow.map((header) => header.trim());
-  const records = body
-    .map((row) =>
-      headers.reduce((acc, header, index) => {
-        acc[header] = (row[index] ?? '').trim();
-        return acc;
-      }, {})
-    )
-    .filter((record) => record.fore_name || record.last_name);
+const parseFaculty = (rosterRecords) => {
+  const records = rosterRecords
+    .filter((record) => record.foreName && record.lastName)
+    .map((record) => ({
+      ...record,
+      orcid: normalizeOrcid(record.orcid)
+    }));
 
   const facultyMap = new Map();
 
   records.forEach((record) => {
-    const idBase = record.person_id || `${record.fore_name}-${record.last_name}-${record.email}`;
+    const idBase = record.personId || `${record.foreName}-${record.lastName}-${record.email}`;
     const key = toSlug(idBase);
 
     if (!facultyMap.has(key)) {
       facultyMap.set(key, {
         id: key,
-        foreName: record.fore_name,
-        lastName: record.last_name,
+        foreName: record.foreName,
+        lastName: record.lastName,
         orcid: record.orcid,
         email: record.email,
         signatureTerms: new Set(),
@@ -193,13 +126,14 @@ const parseFaculty = (rows) => {
     }
 
     const person = facultyMap.get(key);
-    parseSignatureTerms(record.signature_terms).forEach((term) =>
+    parseSignatureTerms(record.signatureTerms).forEach((term) =>
       person.signatureTerms.add(term)
     );
-    if (record['program']) {
-      person.programs.add(record['program']);
+    const program = record.program || record.defaultProgram;
+    if (program) {
+      person.programs.add(program);
     }
-    const startDate = parseStartDate(record['start date']);
+    const startDate = parseRosterDate(record.startDate);
     if (startDate && (!person.startDate || startDate < person.startDate)) {
       person.startDate = startDate;
     }
@@ -215,7 +149,6 @@ const parseFaculty = (rows) => {
       foreName: person.foreName,
       lastName: person.lastName,
       orcid: person.orcid || '',
-      department: DEFAULT_AFFILIATION,
       email: person.email || '',
       signatureTerms,
       programs: Array.from(person.programs),
@@ -267,6 +200,15 @@ const filterProjectsByStartDate = (projects, startDate) => {
   });
 };
 
+const filterProjectsByProgramTenure = (projects, programAssociations) =>
+  projects.filter((project) => {
+    const projectStart = toDate(project.project_start_date);
+    if (!projectStart) {
+      return true;
+    }
+    return isDuringAnyProgram(projectStart, programAssociations);
+  });
+
 const resolveRole = (person, principalInvestigators) => {
   if (!Array.isArray(principalInvestigators) || principalInvestigators.length === 0) {
     return 'Not listed';
@@ -427,29 +369,14 @@ const mapGrants = (person, projects) => {
   return deduped.sort((a, b) => (b.startDate || '').localeCompare(a.startDate || ''));
 };
 
-const getProgramAssociationsForFaculty = (db, facultyId) =>
-  db
-    .prepare(
-      `
-      SELECT program, start_date AS startDate
-      FROM faculty_programs
-      WHERE faculty_id = ?
-      ORDER BY program ASC, start_date ASC
-    `
-    )
-    .all(facultyId)
-    .map((row) => ({
-      program: row.program,
-      startDate: row.startDate || ''
-    }));
-
 const canonicalizeFaculty = (db, faculty) => {
   const merged = new Map();
 
   for (const person of faculty) {
     const canonicalId = upsertCanonicalFaculty(db, person, {
       source: 'grants_build',
-      legacySlug: person.id
+      legacySlug: person.id,
+      reactivate: false
     });
     remapFacultyIdReferences(db, person.id, canonicalId);
 
@@ -492,16 +419,15 @@ const canonicalizeFaculty = (db, faculty) => {
 };
 
 const main = async () => {
-  const csvText = await readFile(CSV_PATH, 'utf8');
-  const rows = parseCsv(csvText);
+  const rosterRecords = await readAllRosterRecords();
   const db = initDb();
-  const parsedFaculty = parseFaculty(rows);
+  const parsedFaculty = parseFaculty(rosterRecords);
   const faculty = canonicalizeFaculty(db, parsedFaculty);
 
   const orgNamesOverride = parseList(ORG_NAMES_OVERRIDE);
   const fiscalYears = parseYearList(FISCAL_YEARS_OVERRIDE);
 
-  const results = [];
+  let failures = 0;
 
   for (const person of faculty) {
     const orgNames = (() => {
@@ -521,52 +447,27 @@ const main = async () => {
         fiscalYears,
         orgNames
       });
-      const eligibleProjects = filterProjectsByStartDate(projects, person.startDate);
-      const grants = mapGrants(person, eligibleProjects);
-      replaceFacultyGrants(db, person.id, grants, 'nih_reporter');
-      const programAssociations = getProgramAssociationsForFaculty(db, person.id);
-      const programs = Array.from(
-        new Set(programAssociations.map((entry) => entry.program).filter(Boolean))
-      );
-
-      results.push({
-        id: person.id,
-        name: person.name,
-        department: person.department,
-        programs,
-        programAssociations,
-        reporterUrl: searchUrl,
-        grants
-      });
+      const programAssociations = getProgramAssociations(db, person.id);
+      const scoped =
+        SCOPE_TO_PROGRAMS && programAssociations.some((association) => association.startDate);
+      const eligibleProjects = scoped
+        ? filterProjectsByProgramTenure(projects, programAssociations)
+        : filterProjectsByStartDate(projects, person.startDate);
+      replaceFacultyGrants(db, person.id, mapGrants(person, eligibleProjects), 'nih_reporter');
+      setFacultyReporterUrl(db, person.id, searchUrl);
     } catch (error) {
       console.error(`Failed to fetch grants for ${person.name}: ${error.message}`);
       replaceFacultyGrants(db, person.id, [], 'nih_reporter');
-      const programAssociations = getProgramAssociationsForFaculty(db, person.id);
-      const programs = Array.from(
-        new Set(programAssociations.map((entry) => entry.program).filter(Boolean))
-      );
-      results.push({
-        id: person.id,
-        name: person.name,
-        department: person.department,
-        programs,
-        programAssociations,
-        reporterUrl: '',
-        grants: []
-      });
+      setFacultyReporterUrl(db, person.id, '');
+      failures += 1;
     }
 
     await sleep(REQUEST_DELAY_MS);
   }
 
-  const output = {
-    updated: new Date().toISOString().slice(0, 10),
-    source: 'NIH RePORTER API',
-    faculty: results
-  };
-
-  await writeFile(OUTPUT_PATH, `${JSON.stringify(output, null, 2)}\n`, 'utf8');
-  console.log(`Wrote ${OUTPUT_PATH}`);
+  console.log(
+    `Stored NIH RePORTER results for ${faculty.length - failures} of ${faculty.length} faculty. Run \`npm run export:data\` to update the static JSON.`
+  );
   db.close();
 };
 
@@ -1,18 +1,50 @@
 import dotenv from 'dotenv';
 import { existsSync } from 'node:fs';
-import { readFile, writeFile } from 'node:fs/promises';
+import { readFile } from 'node:fs/promises';
 import path from 'node:path';
 import { XMLParser } from 'fast-xml-parser';
-import { fetchArticleXml, fetchPmids, fetchSummaries } from './pubmed.mjs';
 import {
+  PUBMED_SEARCH_LIMIT,
+  fetchArticleXml,
+  fetchSummaries,
+  getNcbiCacheMode,
+  getNcbiCacheStats,
+  isNcbiOffline,
+  searchPubmed
+} from './pubmed.mjs';
+import {
+  applyCurationVerdict,
+  buildQueryFingerprint,
+  deriveNameVariants,
+  finishHarvestRun,
+  getCurationVerdict,
+  getFacultyNameVariants,
   getFacultySignatureTerms,
+  getHarvestState,
   initDb,
+  recordHarvestRunFaculty,
+  recordHarvestState,
   remapFacultyIdReferences,
-  upsertCanonicalFaculty
+  startHarvestRun,
+  upsertCanonicalFaculty,
+  upsertFacultyNameVariant
 } from './db.mjs';
+import { createBatchId } from './curation.mjs';
+import {
+  buildProgramWindows,
+  formatIsoDate,
+  getProgramAssociations,
+  isDuringAnyProgram
+} from './programs.mjs';
+import {
+  buildMatchContext,
+  describeBorderlineMatch,
+  parseMinMatchScore,
+  scoreMatch
+} from './match-scoring.mjs';
+import { normalizeOrcid, parseRosterDate, readAllRosterRecords } from './rosters.mjs';
+import { normalizeCitedGrantNumber } from '../src/grant-numbers.js';
 
-const CSV_PATH = path.resolve('data', 'CTSI Faculty - Sheet1.csv');
-const OUTPUT_PATH = path.resolve('public', 'data', 'publications.json');
 const CURATION_PATH = path.resolve('data', 'curation.json');
 
 const envLocal = path.resolve('.env.local');
@@ -40,71 +72,48 @@ const DEFAULT_END_DATE = Number.isFinite(parsedEndOverride)
 const DEFAULT_AFFILIATION = 'University of Minnesota';
 const ALLOW_INITIALS = process.env.PUB_USE_INITIALS !== 'false';
 const VALIDATE_AFFILIATION = process.env.PUB_VALIDATE_AFFILIATION !== 'false';
+const SCOPE_TO_PROGRAMS = process.env.PUB_SCOPE_TO_PROGRAMS === 'true';
+const NCBI_OFFLINE = isNcbiOffline();
+const FULL_HARVEST = process.env.PUB_FULL_HARVEST === 'true' || NCBI_OFFLINE;
+const parsedOverlapDays = Number(process.env.PUB_HARVEST_OVERLAP_DAYS);
+const HARVEST_OVERLAP_DAYS = Number.isFinite(parsedOverlapDays) ? parsedOverlapDays : 7;
+const MIN_MATCH_SCORE = parseMinMatchScore(process.env.PUB_MIN_MATCH_SCORE);
+const parsedSearchWarnCount = Number(process.env.PUB_SEARCH_WARN_COUNT);
+const SEARCH_WARN_COUNT =
+  process.env.PUB_SEARCH_WARN_COUNT && Number.isFinite(parsedSearchWarnCount)
+    ? parsedSearchWarnCount
+    : 1000;
+const HARVEST_CONFIG = {
+  yearStart: YEAR_START_OVERRIDE,
+  yearEnd: YEAR_END_OVERRIDE,
+  validateAffiliation: VALIDATE_AFFILIATION,
+  allowInitials: ALLOW_INITIALS,
+  scopeToPrograms: SCOPE_TO_PROGRAMS,
+  fullHarvest: FULL_HARVEST,
+  overlapDays: HARVEST_OVERLAP_DAYS,
+  minMatchScore: MIN_MATCH_SCORE,
+  ncbiCache: getNcbiCacheMode()
+};
 
 const xmlParser = new XMLParser({
   ignoreAttributes: false,
   attributeNamePrefix: '@_',
   textNodeName: '#text',
   parseTagValue: false,
-  trimValues: true
+  trimValues: true,
+  stopNodes: ['*.AbstractText', '*.CollectiveName']
 });
 
 const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
+const throttle = (ms) => (NCBI_OFFLINE ? Promise.resolve() : sleep(ms));
+
 const toSlug = (value) =>
   value
     .toLowerCase()
     .replace(/[^a-z0-9]+/g, '-')
     .replace(/^-+|-+$/g, '');
 
-const parseCsv = (text) => {
-  const rows = [];
-  let row = [];
-  let field = '';
-  let inQuotes = false;
-
-  for (let i = 0; i < text.length; i += 1) {
-    const char = text[i];
-    const nextChar = text[i + 1];
-
-    if (char === '"') {
-      if (inQuotes && nextChar === '"') {
-        field += '"';
-        i += 1;
-      } else {
-        inQuotes = !inQuotes;
-      }
-      continue;
-    }
-
-    if (char === ',' && !inQuotes) {
-      row.push(field);
-      field = '';
-      continue;
-    }
-
-    if ((char === '\n' || char === '\r') && !inQuotes) {
-      if (char === '\r' && nextChar === '\n') {
-        i += 1;
-      }
-      row.push(field);
-      rows.push(row);
-      row = [];
-      field = '';
-      continue;
-    }
-
-    field += char;
-  }
-
-  if (field.length > 0 || row.length > 0) {
-    row.push(field);
-    rows.push(row);
-  }
-
-  return rows;
-};
-
 const readJsonFile = async (filePath) => {
   if (!existsSync(filePath)) {
     return null;
@@ -161,33 +170,26 @@ const seedCurationFromJson = async (db, legacyToCanonical = new Map()) => {
   if (!data || typeof data !== 'object' || !data.faculty) {
     return;
   }
-  const insert = db.prepare(`
-    INSERT INTO curation (faculty_id, pmid, verdict, reason, updated_at)
-    VALUES (?, ?, ?, ?, ?)
-    ON CONFLICT(faculty_id, pmid)
-    DO UPDATE SET verdict = excluded.verdict, reason = excluded.reason, updated_at = excluded.updated_at
-  `);
   const transaction = db.transaction(() => {
     const timestamp = nowIso();
+    const batchId = createBatchId('json_seed');
+    const seed = (facultyId, pmid, verdict) =>
+      applyCurationVerdict(db, {
+        facultyId,
+        pmid,
+        verdict,
+        reason: 'seeded from curation.json',
+        source: 'json_seed',
+        batchId,
+        updatedAt: timestamp
+      });
     Object.entries(data.faculty).forEach(([facultyId, entry]) => {
       const canonicalFacultyId = legacyToCanonical.get(facultyId) || facultyId;
       normalizePmidList(entry?.falsePositives).forEach((pmid) => {
-        insert.run(
-          canonicalFacultyId,
-          pmid,
-          'false_positive',
-          'seeded from curation.json',
-          timestamp
-        );
+        seed(canonicalFacultyId, pmid, 'false_positive');
       });
       normalizePmidList(entry?.truePositives).forEach((pmid) => {
-        insert.run(
-          canonicalFacultyId,
-          pmid,
-          'true_positive',
-          'seeded from curation.json',
-          timestamp
-        );
+        seed(canonicalFacultyId, pmid, 'true_positive');
       });
     });
   });
@@ -209,13 +211,14 @@ const getCurationForPerson = (db, personId) => {
 
 const upsertPublication = (db, publication) => {
   const stmt = db.prepare(`
-    INSERT INTO publications (pmid, title, journal, year, doi, url, updated_at)
-    VALUES (@pmid, @title, @journal, @year, @doi, @url, @updated_at)
+    INSERT INTO publications (pmid, title, journal, year, pub_date, doi, url, updated_at)
+    VALUES (@pmid, @title, @journal, @year, @pub_date, @doi, @url, @updated_at)
     ON CONFLICT(pmid)
     DO UPDATE SET
       title = excluded.title,
       journal = excluded.journal,
       year = excluded.year,
+      pub_date = COALESCE(NULLIF(excluded.pub_date, ''), publications.pub_date),
       doi = excluded.doi,
       url = excluded.url,
       updated_at = excluded.updated_at
@@ -225,21 +228,206 @@ const upsertPublication = (db, publication) => {
     title: publication.title,
     journal: publication.journal,
     year: publication.year ?? null,
+    pub_date: publication.pubDate || '',
     doi: publication.doi || '',
     url: publication.url || '',
     updated_at: nowIso()
   });
 };
 
-const upsertFacultyPublication = (db, facultyId, pmid) => {
-  const stmt = db.prepare(`
-    INSERT INTO faculty_publications (faculty_id, pmid, first_seen_at, last_seen_at)
+const hasPublicationMetadata = (db, pmid) =>
+  Boolean(
+    db.prepare('SELECT metadata_updated_at FROM publications WHERE pmid = ?').get(String(pmid))
+      ?.metadata_updated_at
+  );
+
+const upsertPublicationMetadata = (db, pmid, metadata) => {
+  const updateStmt = db.prepare(`
+    UPDATE publications
+    SET abstract = @abstract,
+        journal_pub_date = @journal_pub_date,
+        epub_date = @epub_date,
+        language = @language,
+        volume = @volume,
+        issue = @issue,
+        pages = @pages,
+        issn = @issn,
+        eissn = @eissn,
+        pmcid = @pmcid,
+        metadata_updated_at = @metadata_updated_at
+    WHERE pmid = @pmid
+  `);
+  const insertMeshStmt = db.prepare(`
+    INSERT OR REPLACE INTO publication_mesh_headings
+      (pmid, descriptor, descriptor_ui, qualifiers, major_topic)
+    VALUES (?, ?, ?, ?, ?)
+  `);
+  const insertKeywordStmt = db.prepare(`
+    INSERT OR REPLACE INTO publication_keywords (pmid, keyword, owner, major_topic)
+    VALUES (?, ?, ?, ?)
+  `);
+  const insertTypeStmt = db.prepare(`
+    INSERT OR REPLACE INTO publication_types (pmid, publication_type, type_ui)
+    VALUES (?, ?, ?)
+  `);
+  const insertAuthorStmt = db.prepare(`
+    INSERT INTO publication_authors (
+      pmid, position, last_name, fore_name, initials, suffix, collective_name, orcid,
+      equal_contribution
+    )
+    VALUES (
+      @pmid, @position, @last_name, @fore_name, @initials, @suffix, @collective_name, @orcid,
+      @equal_contribution
+    )
+  `);
+  const insertAffiliationStmt = db.prepare(`
+    INSERT INTO publication_author_affiliations (pmid, position, sequence, affiliation)
     VALUES (?, ?, ?, ?)
+  `);
+  const insertGrantStmt = db.prepare(`
+    INSERT INTO publication_grants
+      (pmid, sequence, grant_id, acronym, agency, country, core_project_num)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+  const key = String(pmid);
+  db.transaction(() => {
+    updateStmt.run({
+      pmid: key,
+      abstract: metadata.abstract,
+      journal_pub_date: metadata.journalPubDate,
+      epub_date: metadata.epubDate,
+      language: metadata.language,
+      volume: metadata.volume,
+      issue: metadata.issue,
+      pages: metadata.pages,
+      issn: metadata.issn,
+      eissn: metadata.eissn,
+      pmcid: metadata.pmcid,
+      metadata_updated_at: nowIso()
+    });
+    db.prepare('DELETE FROM publication_mesh_headings WHERE pmid = ?').run(key);
+    db.prepare('DELETE FROM publication_keywords WHERE pmid = ?').run(key);
+    db.prepare('DELETE FROM publication_types WHERE pmid = ?').run(key);
+    db.prepare('DELETE FROM publication_grants WHERE pmid = ?').run(key);
+    db.prepare('DELETE FROM publication_author_affiliations WHERE pmid = ?').run(key);
+    db.prepare('DELETE FROM publication_authors WHERE pmid = ?').run(key);
+    metadata.meshHeadings.forEach((heading) => {
+      insertMeshStmt.run(
+        key,
+        heading.descriptor,
+        heading.descriptorUi,
+        heading.qualifiers.join('; '),
+        heading.majorTopic ? 1 : 0
+      );
+    });
+    metadata.keywords.forEach((keyword) => {
+      insertKeywordStmt.run(key, keyword.keyword, keyword.owner, keyword.majorTopic ? 1 : 0);
+    });
+    metadata.publicationTypes.forEach((type) => {
+      insertTypeStmt.run(key, type.type, type.ui);
+    });
+    metadata.grants.forEach((grant, index) => {
+      insertGrantStmt.run(
+        key,
+        index + 1,
+        grant.grantId,
+        grant.acronym,
+        grant.agency,
+        grant.country,
+        grant.coreProjectNum || null
+      );
+    });
+    metadata.authors.forEach((author) => {
+      insertAuthorStmt.run({
+        pmid: key,
+        position: author.position,
+        last_name: author.lastName,
+        fore_name: author.foreName,
+        initials: author.initials,
+        suffix: author.suffix,
+        collective_name: author.collectiveName,
+        orcid: author.orcid,
+        equal_contribution: author.equalContribution ? 1 : 0
+      });
+      author.affiliations.forEach((affiliation, index) => {
+        insertAffiliationStmt.run(key, author.position, index + 1, affiliation);
+      });
+    });
+  })();
+};
+
+const upsertMatchScore = (db, facultyId, pmid, match) => {
+  db.prepare(`
+    INSERT INTO match_scores (
+      faculty_id, pmid, score, match_type, affiliation, coauthor_overlap, journal_overlap,
+      negative_overlap, explanation, scored_at
+    )
+    VALUES (
+      @faculty_id, @pmid, @score, @match_type, @affiliation, @coauthor_overlap, @journal_overlap,
+      @negative_overlap, @explanation, @scored_at
+    )
     ON CONFLICT(faculty_id, pmid)
-    DO UPDATE SET last_seen_at = excluded.last_seen_at
+    DO UPDATE SET
+      score = excluded.score,
+      match_type = excluded.match_type,
+      affiliation = excluded.affiliation,
+      coauthor_overlap = excluded.coauthor_overlap,
+      journal_overlap = excluded.journal_overlap,
+      negative_overlap = excluded.negative_overlap,
+      explanation = excluded.explanation,
+      scored_at = excluded.scored_at
+  `).run({
+    faculty_id: facultyId,
+    pmid: String(pmid),
+    score: match.score,
+    match_type: match.matchType,
+    affiliation: match.affiliation,
+    coauthor_overlap: match.coauthorOverlap,
+    journal_overlap: match.journalOverlap,
+    negative_overlap: match.negativeOverlap,
+    explanation: match.explanation,
+    scored_at: nowIso()
+  });
+};
+
+const syncPendingVerdict = (db, facultyId, pmid, match) => {
+  const reason = describeBorderlineMatch(match);
+  const current = getCurationVerdict(db, facultyId, pmid);
+  if (current && current.verdict !== 'pending') {
+    return false;
+  }
+  if (reason || current) {
+    applyCurationVerdict(db, {
+      facultyId,
+      pmid,
+      verdict: reason ? 'pending' : null,
+      reason: reason || 'no longer a borderline match',
+      source: 'harvest'
+    });
+  }
+  return Boolean(reason);
+};
+
+const upsertFacultyPublication = (db, facultyId, pmid, authorship) => {
+  const stmt = db.prepare(`
+    INSERT INTO faculty_publications
+      (faculty_id, pmid, first_seen_at, last_seen_at, author_position, author_match)
+    VALUES (?, ?, ?, ?, ?, ?)
+    ON CONFLICT(faculty_id, pmid)
+    DO UPDATE SET
+      last_seen_at = excluded.last_seen_at,
+      author_position = COALESCE(excluded.author_position, faculty_publications.author_position),
+      author_match = COALESCE(excluded.author_match, faculty_publications.author_match)
   `);
   const timestamp = nowIso();
-  stmt.run(facultyId, String(pmid), timestamp, timestamp);
+  stmt.run(
+    facultyId,
+    String(pmid),
+    timestamp,
+    timestamp,
+    authorship ? authorship.position + 1 : null,
+    authorship?.matchType || null
+  );
 };
 
 const replaceCoauthors = (db, facultyId, pmid, coauthors) => {
@@ -260,71 +448,6 @@ const replaceCoauthors = (db, facultyId, pmid, coauthors) => {
   transaction();
 };
 
-const getPublicationsForFaculty = (db, facultyId) => {
-  const rows = db
-    .prepare(
-      `
-      SELECT p.pmid AS id, p.title, p.journal, p.year, p.doi, p.url
-      FROM publications p
-      INNER JOIN faculty_publications fp ON fp.pmid = p.pmid
-      LEFT JOIN curation c
-        ON c.faculty_id = fp.faculty_id
-        AND c.pmid = fp.pmid
-        AND c.verdict = 'false_positive'
-      WHERE fp.faculty_id = ? AND c.pmid IS NULL
-    `
-    )
-    .all(facultyId);
-  return rows;
-};
-
-const getFalsePositivePublications = (db, facultyId) => {
-  const rows = db
-    .prepare(
-      `
-      SELECT p.pmid AS id, p.title, p.journal, p.year, p.doi, p.url
-      FROM publications p
-      INNER JOIN curation c ON c.pmid = p.pmid
-      WHERE c.faculty_id = ? AND c.verdict = 'false_positive'
-    `
-    )
-    .all(facultyId);
-  return rows;
-};
-
-const getCoauthorsForFaculty = (db, facultyId) => {
-  const rows = db
-    .prepare(
-      'SELECT pmid, name FROM faculty_publication_coauthors WHERE faculty_id = ?'
-    )
-    .all(facultyId);
-  const map = new Map();
-  rows.forEach((row) => {
-    const key = String(row.pmid);
-    if (!map.has(key)) {
-      map.set(key, []);
-    }
-    map.get(key).push(row.name);
-  });
-  return map;
-};
-
-const getProgramAssociationsForFaculty = (db, facultyId) =>
-  db
-    .prepare(
-      `
-      SELECT program, start_date AS startDate
-      FROM faculty_programs
-      WHERE faculty_id = ?
-      ORDER BY program ASC, start_date ASC
-    `
-    )
-    .all(facultyId)
-    .map((row) => ({
-      program: row.program,
-      startDate: row.startDate || ''
-    }));
-
 const formatDate = (date) => {
   const year = date.getFullYear();
   const month = String(date.getMonth() + 1).padStart(2, '0');
@@ -342,20 +465,21 @@ const parseDateClause = (startDate, endDate) => {
   return `("${formatDate(startDate)}"[pdat] : "${formatDate(endDate)}"[pdat])`;
 };
 
-const parseStartDate = (value) => {
-  if (!value) {
-    return null;
-  }
-  const parts = String(value).trim().split('/');
-  if (parts.length !== 3) {
-    return null;
+const buildEntryDateClause = (lastHarvestedAt) => {
+  const since = new Date(lastHarvestedAt);
+  if (Number.isNaN(since.getTime())) {
+    return '';
   }
-  const [month, day, year] = parts.map((part) => Number(part));
-  if (!month || !day || !year) {
-    return null;
+  since.setDate(since.getDate() - HARVEST_OVERLAP_DAYS);
+  return `("${formatDate(since)}"[edat] : "3000"[edat])`;
+};
+
+const buildDateWindowsClause = (windows) => {
+  const clauses = windows.map((window) => parseDateClause(window.start, window.end)).filter(Boolean);
+  if (clauses.length <= 1) {
+    return clauses[0] || '';
   }
-  const date = new Date(year, month - 1, day);
-  return Number.isNaN(date.getTime()) ? null : date;
+  return `(${clauses.join(' OR ')})`;
 };
 
 const parseSignatureTerms = (value) =>
@@ -434,83 +558,6 @@ const normalizeAffiliation = (value) =>
     .toLowerCase()
     .replace(/[^a-z0-9]/g, '');
 
-const STOPWORDS = new Set([
-  'a',
-  'an',
-  'and',
-  'are',
-  'as',
-  'at',
-  'be',
-  'between',
-  'by',
-  'case',
-  'control',
-  'for',
-  'from',
-  'in',
-  'into',
-  'is',
-  'long',
-  'of',
-  'on',
-  'outcomes',
-  'patients',
-  'report',
-  'review',
-  'study',
-  'studies',
-  'the',
-  'to',
-  'with',
-  'without'
-]);
-
-const normalizeSignalKey = (value) =>
-  String(value || '')
-    .toLowerCase()
-    .replace(/[^a-z0-9]/g, '');
-
-const extractKeywords = (value) =>
-  String(value || '')
-    .toLowerCase()
-    .replace(/[^a-z0-9]/g, ' ')
-    .split(/\s+/)
-    .filter((token) => token.length >= 3 && !STOPWORDS.has(token));
-
-const tallyValues = (values, normalize = (value) => value, labeler) => {
-  const counts = new Map();
-  const labels = new Map();
-  values.forEach((value) => {
-    if (!value) {
-      return;
-    }
-    const normalized = normalize(value);
-    if (!normalized) {
-      return;
-    }
-    counts.set(normalized, (counts.get(normalized) || 0) + 1);
-    if (!labels.has(normalized)) {
-      labels.set(normalized, labeler ? labeler(value) : value);
-    }
-  });
-  return { counts, labels };
-};
-
-const topList = (counts, labels, limit = 10) =>
-  Array.from(counts.entries())
-    .sort((a, b) => {
-      const countDiff = b[1] - a[1];
-      if (countDiff) {
-        return countDiff;
-      }
-      const aLabel = String(labels.get(a[0]) || a[0]);
-      const bLabel = String(labels.get(b[0]) || b[0]);
-      return aLabel.localeCompare(bLabel);
-    })
-    .slice(0, limit)
-    .map(([key, count]) => ({ name: labels.get(key) || key, count }));
-
 const MONTH_INDEX = {
   jan: 0,
   feb: 1,
@@ -687,9 +734,9 @@ const formatAuthorName = (author) => {
   if (!author) {
     return '';
   }
-  const collective = getText(author.CollectiveName);
+  const collective = stripMarkup(author.CollectiveName);
   if (collective) {
-    return collective.trim();
+    return collective;
   }
   const last = getText(author.LastName).trim();
   const fore = getText(author.ForeName).trim();
@@ -793,6 +840,7 @@ const mapSummaryToPublication = (summary, pubDate) => {
     title: summary.title?.trim() || `PubMed ${summary.uid}`,
     journal: summary.fulljournalname || summary.source || 'Unknown journal',
     year: year || null,
+    pubDate: formatIsoDate(pubDate),
     doi: extractDoi(summary.articleids),
     url: `https://pubmed.ncbi.nlm.nih.gov/${summary.uid}/`
   };
@@ -806,45 +854,6 @@ const resolvePubDate = (summary, pubDates) => {
   return pubDates.get(String(summary.uid)) || fallback;
 };
 
-const buildSignals = (publications, coauthorsByPmid = new Map()) => {
-  const years = publications
-    .map((pub) => pub.year)
-    .filter((year) => Number.isFinite(year));
-
-  const yearRange = years.length
-    ? { min: Math.min(...years), max: Math.max(...years) }
-    : null;
-
-  const yearCounts = (() => {
-    const { counts } = tallyValues(years.map((year) => String(year)));
-    return Array.from(counts.entries())
-      .map(([year, count]) => ({ year: Number(year), count }))
-      .sort((a, b) => a.year - b.year);
-  })();
-
-  const journalTally = tallyValues(
-    publications.map((pub) => pub.journal),
-    normalizeSignalKey
-  );
-  const keywordTally = tallyValues(
-    publications.flatMap((pub) => extractKeywords(pub.title)),
-    (value) => value
-  );
-  const coauthorNames = publications.flatMap(
-    (pub) => coauthorsByPmid.get(String(pub.id)) || []
-  );
-  const coauthorTally = tallyValues(coauthorNames, normalizeName);
-
-  return {
-    count: publications.length,
-    yearRange,
-    yearCounts,
-    topJournals: topList(journalTally.counts, journalTally.labels, 10),
-    topKeywords: topList(keywordTally.counts, keywordTally.labels, 12),
-    topCoauthors: topList(coauthorTally.counts, coauthorTally.labels, 12)
-  };
-};
-
 const parsePubDateFromXml = (article) => {
   const articleDates = toArray(article?.MedlineCitation?.Article?.ArticleDate);
   for (const dateEntry of articleDates) {
@@ -870,6 +879,151 @@ const parsePubDateFromXml = (article) => {
   return null;
 };
 
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+const stripMarkup = (value) =>
+  getText(value)
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+      if (entity.startsWith('#x') || entity.startsWith('#X')) {
+        return String.fromCodePoint(parseInt(entity.slice(2), 16));
+      }
+      if (entity.startsWith('#')) {
+        return String.fromCodePoint(Number(entity.slice(1)));
+      }
+      return XML_ENTITIES[entity.toLowerCase()] ?? match;
+    })
+    .replace(/\s+/g, ' ')
+    .trim();
+
+const isMajorTopic = (value) => value?.['@_MajorTopicYN'] === 'Y';
+
+const formatXmlDate = (entry) =>
+  entry ? formatIsoDate(buildDateFromParts(entry.Year, entry.Month, entry.Day)) : '';
+
+const formatJournalPubDate = (pubDate) => {
+  if (!pubDate) {
+    return '';
+  }
+  const medlineDate = getText(pubDate.MedlineDate);
+  if (medlineDate) {
+    return medlineDate;
+  }
+  return [pubDate.Season, pubDate.Year, pubDate.Month, pubDate.Day]
+    .map(getText)
+    .filter(Boolean)
+    .join(' ');
+};
+
+const formatPagination = (pagination) => {
+  const medlinePages = getText(pagination?.MedlinePgn);
+  if (medlinePages) {
+    return medlinePages;
+  }
+  const startPage = getText(pagination?.StartPage);
+  const endPage = getText(pagination?.EndPage);
+  return endPage && startPage ? `${startPage}-${endPage}` : startPage;
+};
+
+const formatOrcid = (value) => {
+  const compact = String(value || '')
+    .toUpperCase()
+    .replace(/[^0-9X]/g, '');
+  return compact.length === 16 ? compact.match(/.{4}/g).join('-') : '';
+};
+
+const parsePublicationAuthors = (authors) =>
+  authors.map((author, index) => ({
+    position: index + 1,
+    lastName: getText(author?.LastName).trim(),
+    foreName: getText(author?.ForeName).trim(),
+    initials: getText(author?.Initials).trim(),
+    suffix: getText(author?.Suffix).trim(),
+    collectiveName: stripMarkup(author?.CollectiveName),
+    orcid: formatOrcid(extractOrcid(author)),
+    equalContribution: author?.['@_EqualContrib'] === 'Y',
+    affiliations: extractAffiliations(author)
+  }));
+
+const parseArticleMetadata = (article) => {
+  const citation = article?.MedlineCitation || {};
+  const articleNode = citation.Article || {};
+  const journal = articleNode.Journal || {};
+  const journalIssue = journal.JournalIssue || {};
+  const issns = toArray(journal.ISSN);
+  const findIssn = (type) => getText(issns.find((entry) => entry?.['@_IssnType'] === type));
+  const articleIds = toArray(article?.PubmedData?.ArticleIdList?.ArticleId);
+  const electronicDate = toArray(articleNode.ArticleDate).find(
+    (entry) => !entry?.['@_DateType'] || entry['@_DateType'] === 'Electronic'
+  );
+
+  const abstract = toArray(articleNode.Abstract?.AbstractText)
+    .map((section) => {
+      const text = stripMarkup(section);
+      const label = section?.['@_Label'];
+      return text && label ? `${label}: ${text}` : text;
+    })
+    .filter(Boolean)
+    .join('\n\n');
+
+  const meshHeadings = toArray(citation.MeshHeadingList?.MeshHeading)
+    .map((heading) => {
+      const qualifiers = toArray(heading.QualifierName);
+      return {
+        descriptor: getText(heading.DescriptorName).trim(),
+        descriptorUi: heading.DescriptorName?.['@_UI'] || '',
+        qualifiers: qualifiers.map((qualifier) => getText(qualifier).trim()).filter(Boolean),
+        majorTopic: isMajorTopic(heading.DescriptorName) || qualifiers.some(isMajorTopic)
+      };
+    })
+    .filter((heading) => heading.descriptor);
+
+  const keywords = toArray(citation.KeywordList).flatMap((list) =>
+    toArray(list?.Keyword)
+      .map((keyword) => ({
+        keyword: stripMarkup(keyword),
+        owner: list?.['@_Owner'] || '',
+        majorTopic: isMajorTopic(keyword)
+      }))
+      .filter((keyword) => keyword.keyword)
+  );
+
+  const grants = toArray(articleNode.GrantList?.Grant)
+    .map((grant) => {
+      const grantId = getText(grant?.GrantID).trim();
+      return {
+        grantId,
+        acronym: getText(grant?.Acronym).trim(),
+        agency: getText(grant?.Agency).trim(),
+        country: getText(grant?.Country).trim(),
+        coreProjectNum: normalizeCitedGrantNumber(grantId)
+      };
+    })
+    .filter((grant) => grant.grantId || grant.agency);
+
+  const publicationTypes = toArray(articleNode.PublicationTypeList?.PublicationType)
+    .map((type) => ({ type: getText(type).trim(), ui: type?.['@_UI'] || '' }))
+    .filter((type) => type.type);
+
+  return {
+    abstract,
+    journalPubDate: formatJournalPubDate(journalIssue.PubDate),
+    epubDate: formatXmlDate(electronicDate),
+    language: toArray(articleNode.Language).map(getText).filter(Boolean).join(','),
+    volume: getText(journalIssue.Volume),
+    issue: getText(journalIssue.Issue),
+    pages: formatPagination(articleNode.Pagination),
+    issn: findIssn('Print'),
+    eissn: findIssn('Electronic'),
+    pmcid: getText(articleIds.find((entry) => entry?.['@_IdType'] === 'pmc')),
+    meshHeadings,
+    keywords,
+    publicationTypes,
+    grants,
+    authors: parsePublicationAuthors(toArray(articleNode.AuthorList?.Author))
+  };
+};
+
 const parseArticlesFromXml = (xmlText) => {
   if (!xmlText) {
     return [];
@@ -881,37 +1035,58 @@ const parseArticlesFromXml = (xmlText) => {
     const pmid = getText(citation.PMID);
     const authors = toArray(citation.Article?.AuthorList?.Author);
     const pubDate = parsePubDateFromXml(article);
-    return { pmid, authors, pubDate };
+    const metadata = parseArticleMetadata(article);
+    const journal = getText(citation.Article?.Journal?.Title);
+    return { pmid, authors, pubDate, metadata, journal };
   });
 };
 
-const filterPmidsByAuthorAffiliation = async (pmids, person, affiliationTerms) => {
+const fetchArticleMetadata = async (pmids) => {
+  const metadataByPmid = new Map();
+  for (const batch of chunk(pmids, 100)) {
+    const xmlText = await fetchArticleXml(batch, EMAIL, TOOL, API_KEY);
+    parseArticlesFromXml(xmlText).forEach(({ pmid, metadata }) => {
+      if (pmid) {
+        metadataByPmid.set(String(pmid), metadata);
+      }
+    });
+    await throttle(120);
+  }
+  return metadataByPmid;
+};
+
+const scoreAuthorMatches = async (pmids, person, affiliationTerms, matchContext) => {
   if (!pmids.length) {
     return {
       validPmids: new Set(),
       pubDates: new Map(),
       coauthorsByPmid: new Map(),
-      authorshipByPmid: new Map()
+      authorshipByPmid: new Map(),
+      metadataByPmid: new Map(),
+      scoresByPmid: new Map()
     };
   }
 
-  const kept = new Set();
+  const matched = new Set();
   const pubDates = new Map();
   const coauthorsByPmid = new Map();
   const authorshipByPmid = new Map();
+  const metadataByPmid = new Map();
+  const scoresByPmid = new Map();
   const allowedTerms = affiliationTerms.length ? affiliationTerms : [DEFAULT_AFFILIATION];
   const normalizedAllowed = allowedTerms.map(normalizeAffiliation).filter(Boolean);
-  let missingAffiliationCount = 0;
-  let skippedInitialAffiliationCount = 0;
 
   for (const batch of chunk(pmids, 100)) {
     const xmlText = await fetchArticleXml(batch, EMAIL, TOOL, API_KEY);
     const articles = parseArticlesFromXml(xmlText);
 
-    articles.forEach(({ pmid, authors, pubDate }) => {
+    articles.forEach(({ pmid, authors, pubDate, metadata, journal }) => {
       if (pmid && pubDate) {
         pubDates.set(String(pmid), pubDate);
       }
+      if (pmid) {
+        metadataByPmid.set(String(pmid), metadata);
+      }
 
       let matchedAuthor = null;
       let matchedIndex = -1;
@@ -942,86 +1117,101 @@ const filterPmidsByAuthorAffiliation = async (pmids, person, affiliationTerms) =
             position: matchedIndex,
             total: totalAuthors,
             isFirst: matchedIndex === 0,
-            isLast: totalAuthors > 0 && matchedIndex === totalAuthors - 1
+            isLast: totalAuthors > 0 && matchedIndex === totalAuthors - 1,
+            matchType: matchedType
           });
         }
       }
 
-      if (!matchedAuthor) {
-        return;
-      }
-
-      const affiliations = extractAffiliations(matchedAuthor);
-      if (!affiliations.length) {
-        if (matchedType === 'initials') {
-          skippedInitialAffiliationCount += 1;
-          return;
-        }
-        missingAffiliationCount += 1;
-        kept.add(String(pmid));
+      if (!matchedAuthor || !pmid) {
         return;
       }
 
-      const normalizedAffiliations = affiliations.map(normalizeAffiliation);
-      const matches = normalizedAffiliations.some((aff) =>
-        normalizedAllowed.some((term) => aff.includes(term))
+      const normalizedAffiliations = extractAffiliations(matchedAuthor).map(normalizeAffiliation);
+      const affiliation = !normalizedAffiliations.length
+        ? 'missing'
+        : normalizedAffiliations.some((aff) => normalizedAllowed.some((term) => aff.includes(term)))
+          ? 'hit'
+          : 'mismatch';
+      matched.add(String(pmid));
+      scoresByPmid.set(
+        String(pmid),
+        scoreMatch({ pmid, matchType: matchedType, affiliation, journal, coauthors }, matchContext)
       );
-      if (matches) {
-        kept.add(String(pmid));
-      }
     });
 
-    await sleep(120);
+    await throttle(120);
   }
 
-  if (missingAffiliationCount > 0) {
-    console.warn(
-      `${person.name}: ${missingAffiliationCount} records missing author affiliation; kept them anyway.`
-    );
-  }
-  if (skippedInitialAffiliationCount > 0) {
+  const belowThreshold = Array.from(scoresByPmid.values()).filter(
+    (entry) => entry.score < MIN_MATCH_SCORE
+  ).length;
+  if (belowThreshold > 0) {
     console.warn(
-      `${person.name}: ${skippedInitialAffiliationCount} initial-only matches missing author affiliation; skipped them.`
+      `${person.name}: ${belowThreshold} of ${scoresByPmid.size} author matches scored below ${MIN_MATCH_SCORE}; stored but not exported.`
     );
   }
 
-  return { validPmids: kept, pubDates, coauthorsByPmid, authorshipByPmid };
+  return {
+    validPmids: matched,
+    pubDates,
+    coauthorsByPmid,
+    authorshipByPmid,
+    metadataByPmid,
+    scoresByPmid
+  };
 };
 
-const buildAuthorCounts = (publications, authorshipByPmid) => {
-  if (!authorshipByPmid || authorshipByPmid.size === 0) {
-    return null;
+const findCuratedAuthor = (authors, person) => {
+  const emails = (person.signatureTerms || []).filter(isEmail).map((term) => term.toLowerCase());
+  return (
+    authors.find((author) => getAuthorMatchType(author, person) === 'orcid') ||
+    authors.find((author) =>
+      extractAffiliations(author).some((affiliation) =>
+        emails.some((email) => affiliation.toLowerCase().includes(email))
+      )
+    ) ||
+    authors.find((author) => getAuthorMatchType(author, person) === 'name') ||
+    null
+  );
+};
+
+const learnNameVariantsFromCuration = async (db, person, truePositives) => {
+  const harvested = new Set(
+    db
+      .prepare('SELECT pmid FROM faculty_publications WHERE faculty_id = ?')
+      .all(person.id)
+      .map((row) => String(row.pmid))
+  );
+  const pending = truePositives.filter((pmid) => !harvested.has(String(pmid)));
+  const learned = [];
+
+  for (const batch of chunk(pending, 100)) {
+    const xmlText = await fetchArticleXml(batch, EMAIL, TOOL, API_KEY);
+    parseArticlesFromXml(xmlText).forEach(({ pmid, authors }) => {
+      const author = findCuratedAuthor(authors, person);
+      const foreName = getText(author?.ForeName).trim();
+      const lastName = getText(author?.LastName).trim();
+      if (!lastName || !foreName || isInitialsOnly(foreName)) {
+        return;
+      }
+      if (upsertFacultyNameVariant(db, person.id, { foreName, lastName }, 'curation', String(pmid))) {
+        learned.push(`${foreName} ${lastName}`);
+      }
+    });
+    await throttle(120);
   }
-  let first = 0;
-  let last = 0;
-  let known = 0;
-  publications.forEach((pub) => {
-    const entry = authorshipByPmid.get(String(pub.id));
-    if (!entry) {
-      return;
-    }
-    known += 1;
-    if (entry.isFirst) {
-      first += 1;
-    }
-    if (entry.isLast) {
-      last += 1;
-    }
-  });
-  return { first, last, total: publications.length, known };
+
+  return learned;
 };
 
-const parseFaculty = (rows) => {
-  const [headerRow, ...body] = rows;
-  const headers = headerRow.map((header) => header.trim());
-  const records = body
-    .map((row) =>
-      headers.reduce((acc, header, index) => {
-        acc[header] = (row[index] ?? '').trim();
-      return acc;
-    }, {})
-    )
-    .filter((record) => record.fore_name || record.last_name);
+const parseFaculty = (rosterRecords) => {
+  const records = rosterRecords
+    .filter((record) => record.foreName && record.lastName)
+    .map((record) => ({
+      ...record,
+      orcid: normalizeOrcid(record.orcid)
+    }));
 
   const facultyMap = new Map();
 
@@ -1032,38 +1222,15 @@ const parseFaculty = (rows) => {
     }
   };
 
-  const addInitialStrippedVariant = (person, foreName, lastName) => {
-    const tokens = String(foreName || '')
-      .trim()
-      .split(/\s+/)
-      .filter(Boolean);
-    if (tokens.length < 2) {
-      return;
-    }
-    const firstToken = tokens[0].replace(/[^a-zA-Z]/g, '');
-    if (firstToken.length !== 1) {
-      return;
-    }
-    const remaining = tokens
-      .slice(1)
-      .map((token) => token.trim())
-      .filter(Boolean)
-      .join(' ');
-    if (!remaining) {
-      return;
-    }
-    addNameVariant(person, remaining, lastName);
-  };
-
   records.forEach((record) => {
-    const idBase = record.person_id || `${record.fore_name}-${record.last_name}-${record.email}`;
+    const idBase = record.personId || `${record.foreName}-${record.lastName}-${record.email}`;
     const key = toSlug(idBase);
 
     if (!facultyMap.has(key)) {
       facultyMap.set(key, {
         id: key,
-        foreName: record.fore_name,
-        lastName: record.last_name,
+        foreName: record.foreName,
+        lastName: record.lastName,
         orcid: record.orcid,
         email: record.email,
         signatureTerms: new Set(),
@@ -1074,13 +1241,15 @@ const parseFaculty = (rows) => {
     }
 
     const person = facultyMap.get(key);
-    addNameVariant(person, record.fore_name, record.last_name);
-    addInitialStrippedVariant(person, record.fore_name, record.last_name);
-    parseSignatureTerms(record.signature_terms).forEach((term) => person.signatureTerms.add(term));
-    if (record['program']) {
-      person.programs.add(record['program']);
+    deriveNameVariants(record.foreName, record.lastName).forEach((variant) =>
+      addNameVariant(person, variant.foreName, variant.lastName)
+    );
+    parseSignatureTerms(record.signatureTerms).forEach((term) => person.signatureTerms.add(term));
+    const program = record.program || record.defaultProgram;
+    if (program) {
+      person.programs.add(program);
     }
-    const startDate = parseStartDate(record['start date']);
+    const startDate = parseRosterDate(record.startDate);
     if (startDate && (!person.startDate || startDate < person.startDate)) {
       person.startDate = startDate;
     }
@@ -1097,7 +1266,6 @@ const parseFaculty = (rows) => {
       name: `${person.foreName} ${person.lastName}`.trim(),
       foreName: person.foreName,
       lastName: person.lastName,
-      department: DEFAULT_AFFILIATION,
       orcid: person.orcid || '',
       email: person.email || '',
       nameVariants: nameVariants.length
@@ -1118,7 +1286,8 @@ const canonicalizeFaculty = (db, faculty) => {
   for (const person of faculty) {
     const canonicalId = upsertCanonicalFaculty(db, person, {
       source: 'pubmed_build',
-      legacySlug: person.id
+      legacySlug: person.id,
+      reactivate: false
     });
     legacyToCanonical.set(person.id, canonicalId);
     remapFacultyIdReferences(db, person.id, canonicalId);
@@ -1181,14 +1350,17 @@ const buildTerm = ({
   orcid,
   signatureTerms,
   startDate,
-  endDate
+  endDate,
+  dateWindows
 }) => {
   const includeInitials = ALLOW_INITIALS && !orcid;
   const resolvedVariants = nameVariants?.length
     ? nameVariants
     : [{ foreName: nameFirst, lastName: nameLast }];
   const authorClause = buildAuthorClause(resolvedVariants, orcid, includeInitials);
-  const yearClause = parseDateClause(startDate, endDate);
+  const yearClause = dateWindows?.length
+    ? buildDateWindowsClause(dateWindows)
+    : parseDateClause(startDate, endDate);
   const affiliationTerms = signatureTerms.filter((term) => !isEmail(term));
   if (
     DEFAULT_AFFILIATION &&
@@ -1204,7 +1376,34 @@ const buildTerm = ({
   };
 };
 
-const shouldIncludePublication = ({ pubDate, pubYear, startDate, endDate }) => {
+const fingerprintHarvestQuery = (person, { startDate, endDate, programAssociations }) =>
+  buildQueryFingerprint({
+    orcid: String(person.orcid || '').trim().toUpperCase(),
+    nameVariants: person.nameVariants
+      .map((variant) => buildNameKey(variant.foreName, variant.lastName))
+      .sort(),
+    signatureTerms: [...person.signatureTerms].map((term) => term.toLowerCase()).sort(),
+    startDate: startDate ? formatDate(startDate) : '',
+    endYearOverride: Number.isFinite(parsedEndOverride) ? formatDate(endDate) : '',
+    programAssociations: programAssociations
+      ? programAssociations.map(({ program, startDate: start, endDate: end }) =>
+          [program, start, end].join('|')
+        )
+      : null,
+    allowInitials: ALLOW_INITIALS,
+    validateAffiliation: VALIDATE_AFFILIATION
+  });
+
+const shouldIncludePublication = ({
+  pubDate,
+  pubYear,
+  startDate,
+  endDate,
+  programAssociations
+}) => {
+  if (programAssociations && !isDuringAnyProgram(pubDate || pubYear, programAssociations)) {
+    return false;
+  }
   const startYear = startDate ? startDate.getFullYear() : null;
   const endYear = endDate ? endDate.getFullYear() : null;
 
@@ -1231,172 +1430,272 @@ const main = async () => {
     console.warn('NCBI_EMAIL is not set. Using a placeholder email may be rate-limited.');
   }
 
-  const csvText = await readFile(CSV_PATH, 'utf8');
-  const rows = parseCsv(csvText);
+  const rosterRecords = await readAllRosterRecords();
   const db = initDb();
-  const parsedFaculty = parseFaculty(rows);
+  const parsedFaculty = parseFaculty(rosterRecords);
   const { faculty, legacyToCanonical } = canonicalizeFaculty(db, parsedFaculty);
   await seedCurationFromJson(db, legacyToCanonical);
 
-  const results = [];
-
-  for (const person of faculty) {
-    const personStartDate = Number.isFinite(DEFAULT_YEAR_START)
-      ? new Date(DEFAULT_YEAR_START, 0, 1)
-      : person.startDate;
-    const personEndDate = DEFAULT_END_DATE;
-
-    const { term, affiliationTerms } = buildTerm({
-      nameFirst: person.foreName,
-      nameLast: person.lastName,
-      nameVariants: person.nameVariants,
-      orcid: person.orcid,
-      signatureTerms: person.signatureTerms,
-      startDate: personStartDate,
-      endDate: personEndDate
-    });
-
-    const dateLabel = personStartDate
-      ? `${personStartDate.toISOString().slice(0, 10)}-${personEndDate
-          .toISOString()
-          .slice(0, 10)}`
-      : `through ${personEndDate.toISOString().slice(0, 10)}`;
-    console.log(`Searching PubMed for ${person.name} (${dateLabel})...`);
-    const pmids = await fetchPmids(term, EMAIL, TOOL, API_KEY);
-    const { falsePositives, truePositives } = getCurationForPerson(db, person.id);
-    const falsePositiveSet = new Set(falsePositives.map(String));
-    const truePositiveSet = new Set(truePositives.map(String));
-
-    const { validPmids, pubDates, coauthorsByPmid, authorshipByPmid } = VALIDATE_AFFILIATION
-      ? await filterPmidsByAuthorAffiliation(pmids, person, affiliationTerms)
-      : {
-          validPmids: new Set(pmids.map(String)),
-          pubDates: new Map(),
-          coauthorsByPmid: new Map(),
-          authorshipByPmid: new Map()
-        };
-
-    const summaries = [];
-    for (const batch of chunk(pmids, 200)) {
-      const batchSummaries = await fetchSummaries(batch, EMAIL, TOOL, API_KEY);
-      summaries.push(...batchSummaries);
-    }
-
-    const summaryMap = new Map();
-    summaries.forEach((summary) => {
-      if (summary?.uid) {
-        summaryMap.set(String(summary.uid), summary);
+  const runId = startHarvestRun(db, HARVEST_CONFIG);
+  let currentOutcome = null;
+  try {
+    for (const parsedPerson of faculty) {
+      currentOutcome = { facultyId: parsedPerson.id, startedAt: nowIso(), harvestMode: 'full' };
+      const { truePositives: curatedTruePositives } = getCurationForPerson(db, parsedPerson.id);
+      const learnedVariants = await learnNameVariantsFromCuration(
+        db,
+        parsedPerson,
+        curatedTruePositives
+      );
+      if (learnedVariants.length) {
+        console.log(
+          `${parsedPerson.name}: learned name variant(s) from curation: ${learnedVariants.join(', ')}`
+        );
       }
-    });
+      const person = {
+        ...parsedPerson,
+        nameVariants: getFacultyNameVariants(db, parsedPerson.id)
+      };
+      const personStartDate = Number.isFinite(DEFAULT_YEAR_START)
+        ? new Date(DEFAULT_YEAR_START, 0, 1)
+        : person.startDate;
+      const personEndDate = DEFAULT_END_DATE;
+      const programAssociations = getProgramAssociations(db, person.id);
+      const dateWindows = SCOPE_TO_PROGRAMS
+        ? buildProgramWindows(programAssociations, { end: personEndDate })
+        : [];
+      const scopedAssociations = dateWindows.length ? programAssociations : null;
+
+      const { term, affiliationTerms } = buildTerm({
+        nameFirst: person.foreName,
+        nameLast: person.lastName,
+        nameVariants: person.nameVariants,
+        orcid: person.orcid,
+        signatureTerms: person.signatureTerms,
+        startDate: personStartDate,
+        endDate: personEndDate,
+        dateWindows
+      });
 
-    const curatedPmids = Array.from(
-      new Set([...falsePositiveSet, ...truePositiveSet].filter(Boolean))
-    );
-    const missingCuratedPmids = curatedPmids.filter((pmid) => !summaryMap.has(String(pmid)));
-    if (missingCuratedPmids.length) {
-      for (const batch of chunk(missingCuratedPmids, 200)) {
+      const dateLabel = dateWindows.length
+        ? `program tenure, ${dateWindows.length} window(s)`
+        : personStartDate
+          ? `${personStartDate.toISOString().slice(0, 10)}-${personEndDate
+              .toISOString()
+              .slice(0, 10)}`
+          : `through ${personEndDate.toISOString().slice(0, 10)}`;
+      const queryFingerprint = fingerprintHarvestQuery(person, {
+        startDate: personStartDate,
+        endDate: personEndDate,
+        programAssociations: scopedAssociations
+      });
+      const harvestState = FULL_HARVEST ? null : getHarvestState(db, person.id, queryFingerprint);
+      const entryDateClause = harvestState ? buildEntryDateClause(harvestState.lastHarvestedAt) : '';
+      const harvestedAt = nowIso();
+      const harvestLabel = entryDateClause
+        ? `new since ${harvestState.lastHarvestedAt.slice(0, 10)}`
+        : 'full harvest';
+      console.log(`Searching PubMed for ${person.name} (${dateLabel}, ${harvestLabel})...`);
+      const queryTerm = [term, entryDateClause].filter(Boolean).join(' AND ');
+      currentOutcome.harvestMode = entryDateClause ? 'incremental' : 'full';
+      currentOutcome.queryTerm = queryTerm;
+      const { count: searchCount, pmids } = await searchPubmed(queryTerm, EMAIL, TOOL, API_KEY);
+      if (searchCount > PUBMED_SEARCH_LIMIT) {
+        console.warn(
+          `${person.name}: PubMed found ${searchCount} records but only the first ${PUBMED_SEARCH_LIMIT} can be retrieved; narrow the name clause or date range.`
+        );
+      } else if (SEARCH_WARN_COUNT > 0 && searchCount > SEARCH_WARN_COUNT) {
+        console.warn(
+          `${person.name}: PubMed found ${searchCount} records (over ${SEARCH_WARN_COUNT}); the name clause is probably too broad.`
+        );
+      }
+      const { falsePositives, truePositives } = getCurationForPerson(db, person.id);
+      const falsePositiveSet = new Set(falsePositives.map(String));
+      const truePositiveSet = new Set(truePositives.map(String));
+
+      const {
+        validPmids,
+        pubDates,
+        coauthorsByPmid,
+        authorshipByPmid,
+        metadataByPmid,
+        scoresByPmid
+      } = VALIDATE_AFFILIATION
+        ? await scoreAuthorMatches(
+            pmids,
+            person,
+            affiliationTerms,
+            buildMatchContext(db, person.id, MIN_MATCH_SCORE)
+          )
+        : {
+            validPmids: new Set(pmids.map(String)),
+            pubDates: new Map(),
+            coauthorsByPmid: new Map(),
+            authorshipByPmid: new Map(),
+            metadataByPmid: new Map(),
+            scoresByPmid: new Map()
+          };
+
+      const summaries = [];
+      for (const batch of chunk(pmids, 200)) {
         const batchSummaries = await fetchSummaries(batch, EMAIL, TOOL, API_KEY);
-        batchSummaries.forEach((summary) => {
-          if (summary?.uid && !summaryMap.has(String(summary.uid))) {
-            summaryMap.set(String(summary.uid), summary);
-            summaries.push(summary);
-          }
-        });
+        summaries.push(...batchSummaries);
       }
-    }
 
-    const curatedValidPmids = new Set([...validPmids, ...truePositiveSet]);
-    const falsePositivePublications = summaries
-      .filter((summary) => falsePositiveSet.has(String(summary.uid)))
-      .map((summary) => mapSummaryToPublication(summary, resolvePubDate(summary, pubDates)));
-
-    const publicationsToUpsert = summaries
-      .filter((summary) => curatedValidPmids.has(String(summary.uid)))
-      .filter((summary) => !falsePositiveSet.has(String(summary.uid)))
-      .map((summary) => {
-        const pubDate = resolvePubDate(summary, pubDates);
-        const pubYear = pubDate ? pubDate.getFullYear() : extractYear(summary.pubdate);
-        const isTruePositive = truePositiveSet.has(String(summary.uid));
-        return { summary, pubDate, pubYear, isTruePositive };
-      })
-      .filter(({ pubDate, pubYear, isTruePositive }) =>
-        isTruePositive
-          ? true
-          : shouldIncludePublication({
-              pubDate,
-              pubYear,
-              startDate: personStartDate,
-              endDate: personEndDate
-            })
-      )
-      .map(({ summary, pubDate }) => mapSummaryToPublication(summary, pubDate));
+      const summaryMap = new Map();
+      summaries.forEach((summary) => {
+        if (summary?.uid) {
+          summaryMap.set(String(summary.uid), summary);
+        }
+      });
 
-    const publicationsToPersist = new Map();
-    publicationsToUpsert.forEach((publication) => {
-      publicationsToPersist.set(String(publication.id), publication);
-    });
-    falsePositivePublications.forEach((publication) => {
-      const key = String(publication.id);
-      if (!publicationsToPersist.has(key)) {
-        publicationsToPersist.set(key, publication);
+      const curatedPmids = Array.from(
+        new Set([...falsePositiveSet, ...truePositiveSet].filter(Boolean))
+      );
+      const missingCuratedPmids = curatedPmids.filter((pmid) => !summaryMap.has(String(pmid)));
+      if (missingCuratedPmids.length) {
+        for (const batch of chunk(missingCuratedPmids, 200)) {
+          const batchSummaries = await fetchSummaries(batch, EMAIL, TOOL, API_KEY);
+          batchSummaries.forEach((summary) => {
+            if (summary?.uid && !summaryMap.has(String(summary.uid))) {
+              summaryMap.set(String(summary.uid), summary);
+              summaries.push(summary);
+            }
+          });
+        }
       }
-    });
 
-    publicationsToPersist.forEach((publication) => upsertPublication(db, publication));
-    publicationsToUpsert.forEach((publication) =>
-      upsertFacultyPublication(db, person.id, publication.id)
-    );
+      const curatedValidPmids = new Set([...validPmids, ...truePositiveSet]);
+      const falsePositivePublications = summaries
+        .filter((summary) => falsePositiveSet.has(String(summary.uid)))
+        .map((summary) => mapSummaryToPublication(summary, resolvePubDate(summary, pubDates)));
+
+      const candidatePublications = summaries
+        .filter((summary) => curatedValidPmids.has(String(summary.uid)))
+        .filter((summary) => !falsePositiveSet.has(String(summary.uid)))
+        .map((summary) => {
+          const pubDate = resolvePubDate(summary, pubDates);
+          const pubYear = pubDate ? pubDate.getFullYear() : extractYear(summary.pubdate);
+          const isTruePositive = truePositiveSet.has(String(summary.uid));
+          return { summary, pubDate, pubYear, isTruePositive };
+        });
+      const publicationsToUpsert = candidatePublications
+        .filter(({ pubDate, pubYear, isTruePositive }) =>
+          isTruePositive
+            ? true
+            : shouldIncludePublication({
+                pubDate,
+                pubYear,
+                startDate: personStartDate,
+                endDate: personEndDate,
+                programAssociations: scopedAssociations
+              })
+        )
+        .map(({ summary, pubDate }) => mapSummaryToPublication(summary, pubDate));
 
-    coauthorsByPmid.forEach((coauthors, pmid) => {
-      if (publicationsToPersist.has(String(pmid))) {
-        replaceCoauthors(db, person.id, pmid, coauthors);
-      }
-    });
+      const publicationsToPersist = new Map();
+      publicationsToUpsert.forEach((publication) => {
+        publicationsToPersist.set(String(publication.id), publication);
+      });
+      falsePositivePublications.forEach((publication) => {
+        const key = String(publication.id);
+        if (!publicationsToPersist.has(key)) {
+          publicationsToPersist.set(key, publication);
+        }
+      });
 
-    const dbPublications = getPublicationsForFaculty(db, person.id).sort(
-      (a, b) => (b.year || 0) - (a.year || 0) || a.title.localeCompare(b.title)
-    );
-    const publicationsWithAuthorship = dbPublications.map((publication) => {
-      const authorship = authorshipByPmid.get(String(publication.id));
-      return authorship ? { ...publication, authorship } : publication;
-    });
-    const dbFalsePositivePublications = getFalsePositivePublications(db, person.id);
-    const coauthorsFromDb = getCoauthorsForFaculty(db, person.id);
-    const authorCounts = buildAuthorCounts(dbPublications, authorshipByPmid);
-    const programAssociations = getProgramAssociationsForFaculty(db, person.id);
-    const programs = Array.from(
-      new Set(programAssociations.map((entry) => entry.program).filter(Boolean))
-    );
+      const missingMetadataPmids = Array.from(publicationsToPersist.keys()).filter(
+        (pmid) => !metadataByPmid.has(pmid) && !hasPublicationMetadata(db, pmid)
+      );
+      const fetchedMetadata = await fetchArticleMetadata(missingMetadataPmids);
 
-    const signals = {
-      positive: buildSignals(publicationsWithAuthorship, coauthorsFromDb),
-      negative: buildSignals(dbFalsePositivePublications, coauthorsFromDb)
-    };
+      publicationsToPersist.forEach((publication, pmid) => {
+        upsertPublication(db, publication);
+        const metadata = metadataByPmid.get(pmid) || fetchedMetadata.get(pmid);
+        if (metadata) {
+          upsertPublicationMetadata(db, pmid, metadata);
+        }
+      });
+      const pendingPmids = new Set();
+      publicationsToUpsert.forEach((publication) => {
+        const pmid = String(publication.id);
+        upsertFacultyPublication(db, person.id, pmid, authorshipByPmid.get(pmid));
+        if (scoresByPmid.has(pmid)) {
+          upsertMatchScore(db, person.id, pmid, scoresByPmid.get(pmid));
+          if (
+            !truePositiveSet.has(pmid) &&
+            syncPendingVerdict(db, person.id, pmid, scoresByPmid.get(pmid))
+          ) {
+            pendingPmids.add(pmid);
+          }
+        }
+      });
+      if (pendingPmids.size) {
+        console.warn(
+          `${person.name}: ${pendingPmids.size} borderline match(es) held for review (npm run curation:queue).`
+        );
+      }
 
-    results.push({
-      id: person.id,
-      name: person.name,
-      department: person.department,
-      orcid: person.orcid,
-      areas: [],
-      programs,
-      programAssociations,
-      publications: publicationsWithAuthorship,
-      authorCounts,
-      signals
-    });
+      coauthorsByPmid.forEach((coauthors, pmid) => {
+        if (publicationsToPersist.has(String(pmid))) {
+          replaceCoauthors(db, person.id, pmid, coauthors);
+        }
+      });
+
+      if (!NCBI_OFFLINE) {
+        recordHarvestState(db, person.id, queryFingerprint, {
+          harvestedAt,
+          full: !entryDateClause,
+          newPmidCount: pmids.length
+        });
+      }
+      const returnedPmids = pmids.map(String);
+      const meetsThreshold = (pmid) =>
+        truePositiveSet.has(pmid) ||
+        (!pendingPmids.has(pmid) &&
+          (!scoresByPmid.has(pmid) || scoresByPmid.get(pmid).score >= MIN_MATCH_SCORE));
+      recordHarvestRunFaculty(db, runId, person.id, {
+        ...currentOutcome,
+        pmidsReturned: returnedPmids.length,
+        pmidsKept: publicationsToUpsert.filter((publication) =>
+          meetsThreshold(String(publication.id))
+        ).length,
+        pmidsRejectedAffiliation: returnedPmids.filter(
+          (pmid) => !truePositiveSet.has(pmid) && (!validPmids.has(pmid) || !meetsThreshold(pmid))
+        ).length,
+        pmidsRejectedDate: candidatePublications.length - publicationsToUpsert.length,
+        pmidsCuratedTrue: publicationsToUpsert.filter((publication) =>
+          truePositiveSet.has(String(publication.id))
+        ).length,
+        pmidsCuratedFalse: returnedPmids.filter((pmid) => falsePositiveSet.has(pmid)).length
+      });
+      currentOutcome = null;
 
-    await sleep(350);
+      await throttle(350);
+    }
+  } catch (error) {
+    if (currentOutcome) {
+      recordHarvestRunFaculty(db, runId, currentOutcome.facultyId, {
+        ...currentOutcome,
+        error: error.message
+      });
+    }
+    finishHarvestRun(db, runId, { error: error.message });
+    db.close();
+    throw error;
   }
 
-  const output = {
-    updated: new Date().toISOString().slice(0, 10),
-    source: 'PubMed E-utilities',
-    faculty: results
-  };
+  finishHarvestRun(db, runId);
+  if (HARVEST_CONFIG.ncbiCache !== 'off') {
+    const cacheStats = getNcbiCacheStats();
+    console.log(
+      `NCBI cache (${HARVEST_CONFIG.ncbiCache}): ${cacheStats.hits} hits, ${cacheStats.misses} fetched, ${cacheStats.stale} expired`
+    );
+  }
 
-  await writeFile(OUTPUT_PATH, `${JSON.stringify(output, null, 2)}\n`, 'utf8');
-  console.log(`Wrote ${OUTPUT_PATH}`);
+  console.log(
+    `Stored PubMed results for ${faculty.length} faculty. Run \`npm run export:data\` to update the static JSON.`
+  );
   db.close();
 };
 
@@ -0,0 +1,349 @@
+import { existsSync } from 'node:fs';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { createInterface } from 'node:readline/promises';
+import dotenv from 'dotenv';
+import {
+  createBatchId,
+  getCurationBatches,
+  getCurationEvents,
+  getCurationRows,
+  getPublicationDetails,
+  normalizeVerdict,
+  planBatchRollback,
+  resolveCurator,
+  resolveFaculty,
+  resolvePmid,
+  rollbackCurationBatch
+} from './curation.mjs';
+import { applyCurationVerdict, initDb } from './db.mjs';
+import { normalizeHeader, parseCsv } from './rosters.mjs';
+import { refreshPublicationsOutput } from './static-export.mjs';
+
+const envLocal = path.resolve('.env.local');
+if (existsSync(envLocal)) {
+  dotenv.config({ path: envLocal });
+} else {
+  dotenv.config();
+}
+
+const NCBI = {
+  email: process.env.NCBI_EMAIL || 'ewlarson@example.com',
+  tool: process.env.NCBI_TOOL || 'ctsi_pubpub',
+  apiKey: process.env.NCBI_API_KEY || ''
+};
+
+const USAGE = `Usage:
+  npm run curate -- mark <faculty> <pmid|doi> --verdict <true_positive|false_positive|pending> --reason "<why>" [--yes] [--export]
+  npm run curate -- unmark <faculty> <pmid|doi> --reason "<why>" [--yes] [--export]
+  npm run curate -- list [faculty] [--verdict <verdict>]
+  npm run curate -- import <file.csv> [--yes] [--export]
+  npm run curate -- history [faculty] [pmid|doi]
+  npm run curate -- batches
+  npm run curate -- rollback <batch> --reason "<why>" [--force] [--yes] [--export]
+
+<faculty> is a faculty ID or part of a name. CSV columns: faculty, pmid or doi, verdict, reason.
+Changes are logged with --curator (default $PUBPUB_CURATOR or the login name) under one
+batch per run; pass --batch <id> to add several runs to the same batch.`;
+
+const parseArgs = (argv) => {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--yes' || arg === '-y') {
+      options.yes = true;
+    } else if (arg === '--export') {
+      options.export = true;
+    } else if (arg === '--force') {
+      options.force = true;
+    } else if (arg.startsWith('--')) {
+      options[arg.slice(2)] = argv[i + 1] || '';
+      i += 1;
+    } else {
+      positional.push(arg);
+    }
+  }
+  return { command: positional[0] || '', args: positional.slice(1), options };
+};
+
+const requireReason = (options) => {
+  const reason = String(options.reason || '').trim();
+  if (!reason) {
+    throw new Error('A --reason is required so later curators know why the verdict was set.');
+  }
+  return reason;
+};
+
+const describeChange = (change) => {
+  const { faculty, details, verdict } = change;
+  const action = verdict ? `mark ${verdict}` : 'remove verdict';
+  const lines = [
+    `${faculty.display_name || faculty.id} (${faculty.id}) — PMID ${change.pmid}: ${action}`,
+    `  ${details.title || '(title unavailable)'}`,
+    `  ${details.journal || 'Unknown journal'}${details.year ? `, ${details.year}` : ''}${details.doi ? ` — doi:${details.doi}` : ''}`
+  ];
+  if (details.authors.length) {
+    const authors = details.authors.map((name, index) =>
+      index + 1 === details.authorPosition ? `*${name}*` : name
+    );
+    lines.push(`  Authors: ${authors.join(', ')}`);
+  } else if (!details.stored) {
+    lines.push('  Not harvested yet; the next build:data will fetch it.');
+  }
+  if (details.verdict) {
+    lines.push(`  Current verdict: ${details.verdict}${details.reason ? ` (${details.reason})` : ''}`);
+  }
+  if (Number.isFinite(details.score)) {
+    lines.push(`  Match score: ${details.score.toFixed(2)}`);
+  }
+  lines.push(`  Reason: ${change.reason}`);
+  return lines.join('\n');
+};
+
+const prepareChange = async (db, { facultyQuery, publication, verdict, reason }) => {
+  const faculty = resolveFaculty(db, facultyQuery);
+  const pmid = await resolvePmid(db, publication, NCBI);
+  const details = await getPublicationDetails(db, faculty.id, pmid, NCBI);
+  if (!details) {
+    throw new Error(`PubMed has no record for PMID ${pmid}.`);
+  }
+  return { faculty, pmid, details, verdict, reason };
+};
+
+const confirm = async (question, options) => {
+  if (options.yes) {
+    return true;
+  }
+  if (!process.stdin.isTTY) {
+    throw new Error('Not running in a terminal; pass --yes to apply without confirmation.');
+  }
+  const rl = createInterface({ input: process.stdin, output: process.stdout });
+  const answer = await rl.question(`${question} [y/N] `);
+  rl.close();
+  return /^y(es)?$/i.test(answer.trim());
+};
+
+const exportFaculty = async (db, facultyIds, options) => {
+  if (options.export) {
+    const count = await refreshPublicationsOutput(db, facultyIds);
+    console.log(`Re-exported publications for ${count} faculty member(s) and rebuilt grants.json.`);
+  } else {
+    console.log('Run `npm run export:data` (or pass --export) to update public/data.');
+  }
+};
+
+const applyChanges = async (db, changes, options) => {
+  const curator = resolveCurator(options.curator);
+  const batchId = options.batch || createBatchId('cli');
+  const apply = db.transaction(() =>
+    changes.filter((change) =>
+      applyCurationVerdict(db, {
+        facultyId: change.faculty.id,
+        pmid: change.pmid,
+        verdict: change.verdict,
+        reason: change.reason,
+        curator,
+        source: 'cli',
+        batchId
+      })
+    ).length
+  );
+  const saved = apply();
+  console.log(`Saved ${saved} curation change(s) as ${curator} in batch ${batchId}.`);
+  await exportFaculty(db, Array.from(new Set(changes.map((change) => change.faculty.id))), options);
+};
+
+const runMark = async (db, args, options, { clear = false } = {}) => {
+  const [facultyQuery, publication] = args;
+  if (!facultyQuery || !publication) {
+    throw new Error(USAGE);
+  }
+  const verdict = clear ? null : normalizeVerdict(options.verdict);
+  const reason = requireReason(options);
+  const change = await prepareChange(db, { facultyQuery, publication, verdict, reason });
+  if (clear && !change.details.verdict) {
+    console.log(`No verdict recorded for ${change.faculty.id} / PMID ${change.pmid}.`);
+    return;
+  }
+  console.log(describeChange(change));
+  if (!(await confirm('Apply this change?', options))) {
+    console.log('Nothing changed.');
+    return;
+  }
+  await applyChanges(db, [change], options);
+};
+
+const runList = (db, args, options) => {
+  const facultyId = args[0] ? resolveFaculty(db, args[0]).id : '';
+  const verdict = options.verdict ? normalizeVerdict(options.verdict) : '';
+  const rows = getCurationRows(db, { facultyId, verdict });
+  let currentFaculty = '';
+  rows.forEach((row) => {
+    if (row.facultyId !== currentFaculty) {
+      currentFaculty = row.facultyId;
+      console.log('');
+      console.log(`${row.facultyName || row.facultyId} (${row.facultyId})`);
+    }
+    console.log(
+      `  ${row.pmid}  ${row.verdict.padEnd(14)}  ${row.year || '----'}  ${row.title || '(not harvested)'}`
+    );
+    console.log(`      ${row.reason || 'no reason recorded'} — ${row.updatedAt || ''}`);
+  });
+  console.log('');
+  console.log(`${rows.length} curation verdict(s).`);
+};
+
+const readImportRows = async (filePath) => {
+  const [header = [], ...rows] = parseCsv(await readFile(filePath, 'utf8'));
+  const columns = header.map(normalizeHeader);
+  if (!columns.includes('faculty') || !(columns.includes('pmid') || columns.includes('doi'))) {
+    throw new Error(`${filePath} needs a faculty column and a pmid or doi column.`);
+  }
+  return rows
+    .map((cells, index) => ({
+      rowNumber: index + 2,
+      record: Object.fromEntries(columns.map((column, i) => [column, String(cells[i] || '').trim()]))
+    }))
+    .filter(({ record }) => Object.values(record).some(Boolean));
+};
+
+const runImport = async (db, args, options) => {
+  const [filePath] = args;
+  if (!filePath) {
+    throw new Error(USAGE);
+  }
+  const rows = await readImportRows(path.resolve(filePath));
+  const changes = [];
+  const problems = [];
+  for (const { rowNumber, record } of rows) {
+    try {
+      if (!record.reason) {
+        throw new Error('reason is required');
+      }
+      changes.push(
+        await prepareChange(db, {
+          facultyQuery: record.faculty,
+          publication: record.pmid || record.doi,
+          verdict: normalizeVerdict(record.verdict),
+          reason: record.reason
+        })
+      );
+    } catch (error) {
+      problems.push(`row ${rowNumber}: ${error.message}`);
+    }
+  }
+  if (problems.length) {
+    problems.forEach((problem) => console.error(problem));
+    throw new Error(`${problems.length} row(s) could not be read; nothing was imported.`);
+  }
+  changes.forEach((change) => {
+    console.log(describeChange(change));
+    console.log('');
+  });
+  if (!(await confirm(`Apply ${changes.length} change(s)?`, options))) {
+    console.log('Nothing changed.');
+    return;
+  }
+  await applyChanges(db, changes, options);
+};
+
+const formatVerdict = (verdict) => verdict || '(none)';
+
+const runHistory = async (db, args) => {
+  const facultyId = args[0] ? resolveFaculty(db, args[0]).id : '';
+  const pmid = args[1] ? await resolvePmid(db, args[1], NCBI) : '';
+  const events = getCurationEvents(db, { facultyId, pmid });
+  events.forEach((event) => {
+    console.log(
+      `${event.createdAt}  ${event.facultyId}  ${event.pmid}  ${formatVerdict(event.previousVerdict)} -> ${formatVerdict(event.newVerdict)}`
+    );
+    console.log(
+      `    ${event.source}${event.curator ? ` by ${event.curator}` : ''}${event.batchId ? ` [${event.batchId}]` : ''}: ${event.reason || 'no reason recorded'}`
+    );
+  });
+  console.log(`${events.length} curation event(s).`);
+};
+
+const runBatches = (db) => {
+  const batches = getCurationBatches(db);
+  batches.forEach((batch) => {
+    console.log(
+      `${batch.batchId}  ${batch.source}  ${batch.eventCount} change(s)  ${batch.curators || 'no curator'}  ${batch.startedAt}`
+    );
+  });
+  console.log(`${batches.length} recent batch(es). Roll one back with: npm run curate -- rollback <batch> --reason "..."`);
+};
+
+const runRollback = async (db, args, options) => {
+  const [batchId] = args;
+  if (!batchId) {
+    throw new Error(USAGE);
+  }
+  const reason = requireReason(options);
+  const plan = planBatchRollback(db, batchId);
+  const changedSince = plan.filter((entry) => entry.changedSince);
+  const steps = options.force ? plan : plan.filter((entry) => !entry.changedSince);
+  plan.forEach((entry) => {
+    const note = entry.changedSince
+      ? ` (changed since to ${formatVerdict(entry.currentVerdict)}${options.force ? '' : '; skipped'})`
+      : '';
+    console.log(
+      `${entry.facultyName || entry.facultyId} (${entry.facultyId}) — PMID ${entry.pmid}: ${formatVerdict(entry.currentVerdict)} -> ${formatVerdict(entry.restoreVerdict)}${note}`
+    );
+  });
+  if (changedSince.length && !options.force) {
+    console.warn(
+      `${changedSince.length} verdict(s) were changed after ${batchId}; pass --force to roll them back too.`
+    );
+  }
+  if (!steps.length) {
+    console.log('Nothing to roll back.');
+    return;
+  }
+  if (!(await confirm(`Roll back ${steps.length} verdict(s)?`, options))) {
+    console.log('Nothing changed.');
+    return;
+  }
+  const curator = resolveCurator(options.curator);
+  const rollbackBatchId = options.batch || createBatchId('rollback');
+  const reverted = rollbackCurationBatch(db, steps, {
+    curator,
+    reason: `rollback of ${batchId}: ${reason}`,
+    batchId: rollbackBatchId
+  });
+  console.log(`Rolled back ${reverted} verdict(s) as ${curator} in batch ${rollbackBatchId}.`);
+  await exportFaculty(db, Array.from(new Set(steps.map((entry) => entry.facultyId))), options);
+};
+
+const main = async () => {
+  const { command, args, options } = parseArgs(process.argv.slice(2));
+  const db = initDb();
+  try {
+    if (command === 'mark') {
+      await runMark(db, args, options);
+    } else if (command === 'unmark') {
+      await runMark(db, args, options, { clear: true });
+    } else if (command === 'list') {
+      runList(db, args, options);
+    } else if (command === 'import') {
+      await runImport(db, args, options);
+    } else if (command === 'history') {
+      await runHistory(db, args);
+    } else if (command === 'batches') {
+      runBatches(db);
+    } else if (command === 'rollback') {
+      await runRollback(db, args, options);
+    } else {
+      console.log(USAGE);
+      process.exitCode = command ? 1 : 0;
+    }
+  } finally {
+    db.close();
+  }
+};
+
+main().catch((error) => {
+  console.error(error.message || error);
+  process.exit(1);
+});
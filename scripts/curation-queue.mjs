@@ -0,0 +1,77 @@
+import { existsSync } from 'node:fs';
+import path from 'node:path';
+import dotenv from 'dotenv';
+import { initDb } from './db.mjs';
+
+const envLocal = path.resolve('.env.local');
+if (existsSync(envLocal)) {
+  dotenv.config({ path: envLocal });
+} else {
+  dotenv.config();
+}
+
+const readOption = (name) => {
+  const index = process.argv.indexOf(name);
+  return index >= 0 ? process.argv[index + 1] || '' : '';
+};
+
+const facultyFilter = readOption('--faculty').trim().toLowerCase();
+
+const getPendingRows = (db) =>
+  db
+    .prepare(
+      `
+      SELECT
+        c.faculty_id AS facultyId,
+        f.display_name AS facultyName,
+        c.pmid,
+        c.reason,
+        c.updated_at AS queuedAt,
+        ms.score,
+        p.title,
+        p.journal,
+        p.year
+      FROM curation c
+      LEFT JOIN faculty f ON f.id = c.faculty_id
+      LEFT JOIN publications p ON p.pmid = c.pmid
+      LEFT JOIN match_scores ms ON ms.faculty_id = c.faculty_id AND ms.pmid = c.pmid
+      WHERE c.verdict = 'pending'
+      ORDER BY f.display_name ASC, c.faculty_id ASC, ms.score DESC, c.pmid ASC
+    `
+    )
+    .all()
+    .filter(
+      (row) =>
+        !facultyFilter ||
+        row.facultyId.toLowerCase() === facultyFilter ||
+        String(row.facultyName || '').toLowerCase().includes(facultyFilter)
+    );
+
+const main = () => {
+  const db = initDb();
+  const rows = getPendingRows(db);
+  db.close();
+
+  const byFaculty = new Map();
+  rows.forEach((row) => {
+    if (!byFaculty.has(row.facultyId)) {
+      byFaculty.set(row.facultyId, []);
+    }
+    byFaculty.get(row.facultyId).push(row);
+  });
+
+  console.log(`Pending review: ${rows.length} match(es) across ${byFaculty.size} faculty.`);
+  byFaculty.forEach((entries, facultyId) => {
+    console.log('');
+    console.log(`${entries[0].facultyName || facultyId} (${facultyId}): ${entries.length}`);
+    entries.forEach((entry) => {
+      const score = Number.isFinite(entry.score) ? entry.score.toFixed(2) : ' -- ';
+      console.log(
+        `  ${entry.pmid}  ${score}  ${entry.year || '----'}  ${entry.title || '(no title)'} — ${entry.journal || 'Unknown journal'}`
+      );
+      console.log(`      ${entry.reason || 'no reason recorded'}`);
+    });
+  });
+};
+
+main();
@@ -0,0 +1,161 @@
+import { existsSync } from 'node:fs';
+import path from 'node:path';
+import dotenv from 'dotenv';
+
+const API_PREFIX = '/__curation/api';
+const LOCAL_HOSTS = new Set(['localhost', '127.0.0.1', '[::1]']);
+
+const isLocalRequest = (req) => {
+  const host = String(req.headers.host || '').replace(/:\d+$/, '').toLowerCase();
+  return LOCAL_HOSTS.has(host);
+};
+
+// A page on another origin can still send "simple" cross-site POSTs to localhost, so only
+// accept JSON bodies and same-origin requests.
+const isSameOrigin = (req) => {
+  const origin = req.headers.origin;
+  if (!origin) {
+    return true;
+  }
+  try {
+    return new URL(origin).host.toLowerCase() === String(req.headers.host || '').toLowerCase();
+  } catch {
+    return false;
+  }
+};
+
+const isJsonRequest = (req) =>
+  String(req.headers['content-type'] || '')
+    .split(';')[0]
+    .trim()
+    .toLowerCase() === 'application/json';
+
+const readJsonBody = (req) =>
+  new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch {
+        reject(new Error('Request body is not valid JSON.'));
+      }
+    });
+    req.on('error', reject);
+  });
+
+const sendJson = (res, status, payload) => {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Cache-Control', 'no-store');
+  res.end(JSON.stringify(payload));
+};
+
+const createApi = async () => {
+  const envLocal = path.resolve('.env.local');
+  if (existsSync(envLocal)) {
+    dotenv.config({ path: envLocal });
+  } else {
+    dotenv.config();
+  }
+
+  const { applyCurationVerdict, initDb } = await import('./db.mjs');
+  const {
+    createBatchId,
+    getCurationCandidates,
+    getCurationFacultySummary,
+    normalizeVerdict,
+    resolveCurator
+  } = await import('./curation.mjs');
+  const { refreshPublicationsOutput } = await import('./static-export.mjs');
+
+  const db = initDb();
+  const curator = resolveCurator();
+  const batchId = createBatchId('workbench');
+
+  const routes = {
+    'GET /faculty': () => ({ curator, batchId, faculty: getCurationFacultySummary(db) }),
+    'GET /candidates': (url) => {
+      const facultyId = url.searchParams.get('faculty') || '';
+      if (!facultyId) {
+        throw new Error('faculty is required.');
+      }
+      return { facultyId, candidates: getCurationCandidates(db, facultyId) };
+    },
+    'POST /verdict': async (url, req) => {
+      const { facultyId, pmid, verdict, reason } = await readJsonBody(req);
+      if (!facultyId || !pmid) {
+        throw new Error('facultyId and pmid are required.');
+      }
+      const changed = applyCurationVerdict(db, {
+        facultyId,
+        pmid,
+        verdict: verdict ? normalizeVerdict(verdict) : null,
+        reason: String(reason || '').trim() || 'marked in the curation workbench',
+        curator,
+        source: 'workbench',
+        batchId
+      });
+      return { changed, batchId };
+    },
+    'POST /export': async (url, req) => {
+      const { facultyId } = await readJsonBody(req);
+      if (!facultyId) {
+        throw new Error('facultyId is required.');
+      }
+      await refreshPublicationsOutput(db, [facultyId]);
+      return { exported: facultyId };
+    }
+  };
+
+  return {
+    handle: async (req, res) => {
+      const url = new URL(req.url, 'http://localhost');
+      const route = routes[`${req.method} ${url.pathname}`];
+      if (!route) {
+        sendJson(res, 404, { error: `No route for ${req.method} ${url.pathname}` });
+        return;
+      }
+      try {
+        sendJson(res, 200, await route(url, req));
+      } catch (error) {
+        sendJson(res, 400, { error: error.message });
+      }
+    },
+    close: () => db.close()
+  };
+};
+
+export const curationWorkbench = () => ({
+  name: 'pubpub-curation-workbench',
+  apply: 'serve',
+  configureServer: (server) => {
+    let apiPromise = null;
+    server.middlewares.use(API_PREFIX, (req, res) => {
+      if (!isLocalRequest(req)) {
+        sendJson(res, 403, { error: 'The curation workbench only answers on localhost.' });
+        return;
+      }
+      if (!isSameOrigin(req)) {
+        sendJson(res, 403, { error: 'Cross-origin requests to the curation workbench are refused.' });
+        return;
+      }
+      if (req.method === 'POST' && !isJsonRequest(req)) {
+        sendJson(res, 415, { error: 'The curation workbench only accepts application/json bodies.' });
+        return;
+      }
+      apiPromise = apiPromise || createApi();
+      apiPromise
+        .then((api) => api.handle(req, res))
+        .catch((error) => {
+          apiPromise = null;
+          sendJson(res, 500, { error: error.message });
+        });
+    });
+    server.httpServer?.once('close', () => {
+      apiPromise?.then((api) => api.close()).catch(() => {});
+    });
+  }
+});
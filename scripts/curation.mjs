@@ -0,0 +1,377 @@
+import { userInfo } from 'node:os';
+import { applyCurationVerdict, getCurationVerdict } from './db.mjs';
+import { fetchPmids, fetchSummaries, isNcbiOffline } from './pubmed.mjs';
+
+export const VERDICTS = ['true_positive', 'false_positive', 'pending'];
+
+const VERDICT_ALIASES = {
+  tp: 'true_positive',
+  fp: 'false_positive',
+  true: 'true_positive',
+  false: 'false_positive'
+};
+
+const DOI_PATTERN = /^10\.\d{4,9}\/\S+$/i;
+
+export const normalizeVerdict = (value) => {
+  const raw = String(value || '').trim().toLowerCase().replace(/-/g, '_');
+  const verdict = VERDICT_ALIASES[raw] || raw;
+  if (!VERDICTS.includes(verdict)) {
+    throw new Error(`Unknown verdict "${value}" (expected ${VERDICTS.join(', ')}, tp or fp).`);
+  }
+  return verdict;
+};
+
+const formatCandidate = (row) => `${row.id} (${row.display_name || 'no name'})`;
+
+export const resolveFaculty = (db, query) => {
+  const needle = String(query || '').trim();
+  if (!needle) {
+    throw new Error('A faculty ID or name is required.');
+  }
+  const exact = db
+    .prepare('SELECT id, display_name FROM faculty WHERE lower(id) = lower(?)')
+    .get(needle);
+  if (exact) {
+    return exact;
+  }
+  const matches = db
+    .prepare(
+      `
+      SELECT id, display_name
+      FROM faculty
+      WHERE instr(lower(display_name), lower(?)) > 0
+         OR instr(lower(fore_name || ' ' || last_name), lower(?)) > 0
+      ORDER BY active DESC, display_name ASC
+    `
+    )
+    .all(needle, needle);
+  if (!matches.length) {
+    throw new Error(`No faculty member matches "${needle}".`);
+  }
+  if (matches.length > 1) {
+    const listed = matches.slice(0, 10).map(formatCandidate).join(', ');
+    const more = matches.length > 10 ? ', …' : '';
+    throw new Error(
+      `"${needle}" matches ${matches.length} faculty members: ${listed}${more}. Use the faculty ID.`
+    );
+  }
+  return matches[0];
+};
+
+const normalizeDoi = (value) =>
+  String(value || '')
+    .trim()
+    .replace(/^https?:\/\/(dx\.)?doi\.org\//i, '')
+    .replace(/^doi:\s*/i, '');
+
+export const resolvePmid = async (db, value, ncbi = {}) => {
+  const raw = String(value || '').trim();
+  const pmid = raw.replace(/^pmid:\s*/i, '');
+  if (/^\d+$/.test(pmid)) {
+    return pmid;
+  }
+  const doi = normalizeDoi(raw);
+  if (!DOI_PATTERN.test(doi)) {
+    throw new Error(`"${raw}" is neither a PMID nor a DOI.`);
+  }
+  const stored = db
+    .prepare('SELECT pmid FROM publications WHERE lower(doi) = lower(?)')
+    .all(doi);
+  if (stored.length === 1) {
+    return String(stored[0].pmid);
+  }
+  if (isNcbiOffline()) {
+    throw new Error(`DOI ${doi} is not in the database and NCBI_CACHE is offline.`);
+  }
+  const found = await fetchPmids(`"${doi}"[doi]`, ncbi.email, ncbi.tool, ncbi.apiKey);
+  if (found.length !== 1) {
+    throw new Error(
+      found.length
+        ? `DOI ${doi} matches ${found.length} PMIDs (${found.join(', ')}); use the PMID.`
+        : `PubMed has no record for DOI ${doi}.`
+    );
+  }
+  return String(found[0]);
+};
+
+const formatStoredAuthor = (row) =>
+  row.collective_name || [row.fore_name || row.initials, row.last_name].filter(Boolean).join(' ');
+
+export const getPublicationDetails = async (db, facultyId, pmid, ncbi = {}) => {
+  const stored = db
+    .prepare('SELECT pmid, title, journal, year, doi FROM publications WHERE pmid = ?')
+    .get(pmid);
+  const link = db
+    .prepare(
+      `
+      SELECT fp.author_position AS authorPosition, ms.score, c.verdict, c.reason
+      FROM (SELECT ? AS faculty_id, ? AS pmid) k
+      LEFT JOIN faculty_publications fp ON fp.faculty_id = k.faculty_id AND fp.pmid = k.pmid
+      LEFT JOIN match_scores ms ON ms.faculty_id = k.faculty_id AND ms.pmid = k.pmid
+      LEFT JOIN curation c ON c.faculty_id = k.faculty_id AND c.pmid = k.pmid
+    `
+    )
+    .get(facultyId, pmid);
+
+  if (stored) {
+    const authors = db
+      .prepare(
+        `
+        SELECT position, last_name, fore_name, initials, collective_name
+        FROM publication_authors
+        WHERE pmid = ?
+        ORDER BY position ASC
+      `
+      )
+      .all(pmid)
+      .map(formatStoredAuthor);
+    return { ...stored, ...link, authors, stored: true };
+  }
+
+  if (isNcbiOffline()) {
+    return { pmid, ...link, authors: [], stored: false };
+  }
+  const [summary] = await fetchSummaries([pmid], ncbi.email, ncbi.tool, ncbi.apiKey);
+  if (!summary || summary.error) {
+    return null;
+  }
+  return {
+    pmid,
+    title: summary.title || '',
+    journal: summary.fulljournalname || summary.source || '',
+    year: Number.parseInt(String(summary.pubdate || '').slice(0, 4), 10) || null,
+    doi: (summary.articleids || []).find((entry) => entry.idtype === 'doi')?.value || '',
+    ...link,
+    authors: (summary.authors || []).map((author) => author.name).filter(Boolean),
+    stored: false
+  };
+};
+
+export const getCurationRows = (db, { facultyId = '', verdict = '' } = {}) =>
+  db
+    .prepare(
+      `
+      SELECT
+        c.faculty_id AS facultyId,
+        f.display_name AS facultyName,
+        c.pmid,
+        c.verdict,
+        c.reason,
+        c.updated_at AS updatedAt,
+        p.title,
+        p.year
+      FROM curation c
+      LEFT JOIN faculty f ON f.id = c.faculty_id
+      LEFT JOIN publications p ON p.pmid = c.pmid
+      WHERE (? = '' OR c.faculty_id = ?)
+        AND (? = '' OR c.verdict = ?)
+      ORDER BY f.display_name ASC, c.faculty_id ASC, c.verdict ASC, c.updated_at DESC
+    `
+    )
+    .all(facultyId, facultyId, verdict, verdict);
+
+export const resolveCurator = (value) => {
+  const curator = String(value || process.env.PUBPUB_CURATOR || '').trim();
+  if (curator) {
+    return curator;
+  }
+  try {
+    return userInfo().username;
+  } catch {
+    return 'unknown';
+  }
+};
+
+export const createBatchId = (source = 'cli') =>
+  `${source}-${new Date().toISOString().replace(/[-:.]/g, '')}`;
+
+export const getCurationEvents = (db, { facultyId = '', pmid = '', batchId = '' } = {}) =>
+  db
+    .prepare(
+      `
+      SELECT
+        e.id,
+        e.faculty_id AS facultyId,
+        f.display_name AS facultyName,
+        e.pmid,
+        e.previous_verdict AS previousVerdict,
+        e.previous_reason AS previousReason,
+        e.new_verdict AS newVerdict,
+        e.reason,
+        e.curator,
+        e.source,
+        e.batch_id AS batchId,
+        e.created_at AS createdAt
+      FROM curation_events e
+      LEFT JOIN faculty f ON f.id = e.faculty_id
+      WHERE (? = '' OR e.faculty_id = ?)
+        AND (? = '' OR e.pmid = ?)
+        AND (? = '' OR e.batch_id = ?)
+      ORDER BY e.id ASC
+    `
+    )
+    .all(facultyId, facultyId, pmid, pmid, batchId, batchId);
+
+export const getCurationBatches = (db, limit = 20) =>
+  db
+    .prepare(
+      `
+      SELECT
+        batch_id AS batchId,
+        source,
+        group_concat(DISTINCT curator) AS curators,
+        COUNT(*) AS eventCount,
+        MIN(created_at) AS startedAt,
+        MAX(created_at) AS finishedAt
+      FROM curation_events
+      WHERE batch_id IS NOT NULL
+      GROUP BY batch_id, source
+      ORDER BY MAX(id) DESC
+      LIMIT ?
+    `
+    )
+    .all(limit);
+
+export const planBatchRollback = (db, batchId) => {
+  const events = getCurationEvents(db, { batchId });
+  if (!events.length) {
+    throw new Error(`No curation events recorded for batch "${batchId}".`);
+  }
+  const byPair = new Map();
+  events.forEach((event) => {
+    const key = `${event.facultyId}\u0000${event.pmid}`;
+    const entry = byPair.get(key) || { first: event, last: event };
+    entry.last = event;
+    byPair.set(key, entry);
+  });
+  return Array.from(byPair.values()).map(({ first, last }) => {
+    const current = getCurationVerdict(db, first.facultyId, first.pmid);
+    return {
+      facultyId: first.facultyId,
+      facultyName: first.facultyName,
+      pmid: first.pmid,
+      restoreVerdict: first.previousVerdict,
+      restoreReason: first.previousReason,
+      batchVerdict: last.newVerdict,
+      currentVerdict: current?.verdict || null,
+      changedSince: (current?.verdict || null) !== last.newVerdict
+    };
+  });
+};
+
+export const rollbackCurationBatch = (db, plan, { curator, reason, batchId }) =>
+  db.transaction(() =>
+    plan.filter((entry) =>
+      applyCurationVerdict(db, {
+        facultyId: entry.facultyId,
+        pmid: entry.pmid,
+        verdict: entry.restoreVerdict,
+        reason: entry.restoreReason,
+        eventReason: reason,
+        curator,
+        source: 'rollback',
+        batchId
+      })
+    ).length
+  )();
+
+export const getCurationFacultySummary = (db) =>
+  db
+    .prepare(
+      `
+      SELECT
+        f.id,
+        f.display_name AS name,
+        f.department,
+        (SELECT COUNT(*) FROM faculty_publications fp WHERE fp.faculty_id = f.id) AS candidates,
+        (SELECT COUNT(*) FROM curation c WHERE c.faculty_id = f.id AND c.verdict = 'pending') AS pending,
+        (SELECT COUNT(*) FROM curation c WHERE c.faculty_id = f.id AND c.verdict = 'true_positive') AS truePositives,
+        (SELECT COUNT(*) FROM curation c WHERE c.faculty_id = f.id AND c.verdict = 'false_positive') AS falsePositives
+      FROM faculty f
+      WHERE f.active = 1
+      ORDER BY f.last_name ASC, f.fore_name ASC
+    `
+    )
+    .all();
+
+const VERDICT_ORDER = { pending: 0, '': 1, true_positive: 2, false_positive: 2 };
+
+export const getCurationCandidates = (db, facultyId) => {
+  const rows = db
+    .prepare(
+      `
+      SELECT
+        k.pmid,
+        p.title,
+        p.journal,
+        p.year,
+        p.doi,
+        p.url,
+        fp.author_position AS authorPosition,
+        fp.author_match AS authorMatch,
+        ms.score,
+        ms.match_type AS matchType,
+        ms.affiliation,
+        ms.explanation,
+        c.verdict,
+        c.reason,
+        c.updated_at AS curatedAt
+      FROM (
+        SELECT pmid FROM faculty_publications WHERE faculty_id = ?
+        UNION
+        SELECT pmid FROM curation WHERE faculty_id = ?
+      ) k
+      LEFT JOIN publications p ON p.pmid = k.pmid
+      LEFT JOIN faculty_publications fp ON fp.faculty_id = ? AND fp.pmid = k.pmid
+      LEFT JOIN match_scores ms ON ms.faculty_id = ? AND ms.pmid = k.pmid
+      LEFT JOIN curation c ON c.faculty_id = ? AND c.pmid = k.pmid
+    `
+    )
+    .all(facultyId, facultyId, facultyId, facultyId, facultyId);
+
+  const authorStmt = db.prepare(`
+    SELECT position, last_name, fore_name, initials, collective_name, orcid
+    FROM publication_authors
+    WHERE pmid = ?
+    ORDER BY position ASC
+  `);
+  const affiliationStmt = db.prepare(`
+    SELECT position, affiliation
+    FROM publication_author_affiliations
+    WHERE pmid = ?
+    ORDER BY position ASC, sequence ASC
+  `);
+  const coauthorStmt = db.prepare(
+    'SELECT name FROM faculty_publication_coauthors WHERE faculty_id = ? AND pmid = ? ORDER BY name ASC'
+  );
+
+  return rows
+    .map((row) => {
+      const affiliations = new Map();
+      affiliationStmt.all(row.pmid).forEach((entry) => {
+        if (!affiliations.has(entry.position)) {
+          affiliations.set(entry.position, []);
+        }
+        affiliations.get(entry.position).push(entry.affiliation);
+      });
+      return {
+        ...row,
+        verdict: row.verdict || '',
+        authors: authorStmt.all(row.pmid).map((author) => ({
+          position: author.position,
+          name: formatStoredAuthor(author),
+          orcid: author.orcid || '',
+          affiliations: affiliations.get(author.position) || [],
+          matched: author.position === row.authorPosition
+        })),
+        coauthors: coauthorStmt.all(facultyId, row.pmid).map((entry) => entry.name)
+      };
+    })
+    .sort(
+      (a, b) =>
+        VERDICT_ORDER[a.verdict] - VERDICT_ORDER[b.verdict] ||
+        (a.score ?? 1) - (b.score ?? 1) ||
+        (b.year || 0) - (a.year || 0)
+    );
+};
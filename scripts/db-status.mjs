@@ -0,0 +1,48 @@
+import { existsSync } from 'node:fs';
+import path from 'node:path';
+import dotenv from 'dotenv';
+import { DEFAULT_DB_PATH, initDb, openDb } from './db.mjs';
+import { LATEST_SCHEMA_VERSION, MIGRATIONS, getSchemaVersion } from './migrations.mjs';
+
+const envLocal = path.resolve('.env.local');
+if (existsSync(envLocal)) {
+  dotenv.config({ path: envLocal });
+} else {
+  dotenv.config();
+}
+
+const shouldMigrate = process.argv.includes('--migrate');
+
+const main = () => {
+  console.log(`Database: ${DEFAULT_DB_PATH}`);
+  if (!existsSync(DEFAULT_DB_PATH) && !shouldMigrate) {
+    console.log('Not created yet. Run `npm run db:migrate` or any build script to create it.');
+    MIGRATIONS.forEach((migration) =>
+      console.log(`  pending  ${migration.version}  ${migration.name}`)
+    );
+    return;
+  }
+
+  const db = shouldMigrate ? initDb() : openDb(DEFAULT_DB_PATH, { readonly: true });
+  const currentVersion = getSchemaVersion(db);
+  console.log(`Schema version: ${currentVersion} (latest ${LATEST_SCHEMA_VERSION})`);
+  MIGRATIONS.forEach((migration) => {
+    const state = migration.version <= currentVersion ? 'applied' : 'pending';
+    console.log(`  ${state.padEnd(7)}  ${migration.version}  ${migration.name}`);
+  });
+  if (currentVersion > LATEST_SCHEMA_VERSION) {
+    console.warn('Database is newer than this checkout; update before running build scripts.');
+  }
+
+  const tables = db
+    .prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name")
+    .all();
+  console.log('Tables:');
+  tables.forEach(({ name }) => {
+    const count = db.prepare(`SELECT COUNT(*) AS count FROM ${name}`).get()?.count || 0;
+    console.log(`  ${name}: ${count}`);
+  });
+  db.close();
+};
+
+main();
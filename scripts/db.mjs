@@ -1,5 +1,7 @@
+import { createHash } from 'node:crypto';
 import { createRequire } from 'node:module';
 import path from 'node:path';
+import { runMigrations } from './migrations.mjs';
 
 const require = createRequire(import.meta.url);
 const Database = require('better-sqlite3');
@@ -36,171 +38,119 @@ const toIsoDate = (value) => {
   return parsed.toISOString().slice(0, 10);
 };
 
+export const openDb = (dbPath = DEFAULT_DB_PATH, options = {}) => new Database(dbPath, options);
+
 export const initDb = (dbPath = DEFAULT_DB_PATH) => {
-  const db = new Database(dbPath);
+  const db = openDb(dbPath);
   db.pragma('journal_mode = WAL');
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS faculty (
-      id TEXT PRIMARY KEY,
-      external_slug TEXT UNIQUE,
-      display_name TEXT NOT NULL,
-      fore_name TEXT,
-      last_name TEXT,
-      email TEXT,
-      orcid TEXT,
-      active INTEGER NOT NULL DEFAULT 1,
-      created_at TEXT NOT NULL DEFAULT (datetime('now')),
-      updated_at TEXT NOT NULL DEFAULT (datetime('now'))
-    );
-    CREATE INDEX IF NOT EXISTS idx_faculty_email ON faculty(email);
-    CREATE INDEX IF NOT EXISTS idx_faculty_orcid ON faculty(orcid);
-
-    CREATE TABLE IF NOT EXISTS faculty_aliases (
-      alias_id INTEGER PRIMARY KEY AUTOINCREMENT,
-      faculty_id TEXT NOT NULL,
-      alias_name TEXT,
-      alias_email TEXT,
-      alias_orcid TEXT,
-      source TEXT NOT NULL DEFAULT 'csv',
-      UNIQUE(faculty_id, alias_name, alias_email, alias_orcid, source),
-      FOREIGN KEY (faculty_id) REFERENCES faculty(id)
-    );
-    CREATE INDEX IF NOT EXISTS idx_alias_email ON faculty_aliases(alias_email);
-    CREATE INDEX IF NOT EXISTS idx_alias_orcid ON faculty_aliases(alias_orcid);
-
-    CREATE TABLE IF NOT EXISTS faculty_programs (
-      faculty_id TEXT NOT NULL,
-      program TEXT NOT NULL,
-      start_date TEXT,
-      end_date TEXT,
-      PRIMARY KEY (faculty_id, program, start_date),
-      FOREIGN KEY (faculty_id) REFERENCES faculty(id)
-    );
-    CREATE TABLE IF NOT EXISTS faculty_signature_terms (
-      faculty_id TEXT NOT NULL,
-      term TEXT NOT NULL,
-      term_type TEXT NOT NULL DEFAULT 'affiliation',
-      source TEXT NOT NULL DEFAULT 'csv',
-      PRIMARY KEY (faculty_id, term),
-      FOREIGN KEY (faculty_id) REFERENCES faculty(id)
-    );
-    CREATE INDEX IF NOT EXISTS idx_faculty_signature_terms_type
-      ON faculty_signature_terms(term_type);
-
-    CREATE TABLE IF NOT EXISTS publications (
-      pmid TEXT PRIMARY KEY,
-      title TEXT,
-      journal TEXT,
-      year INTEGER,
-      doi TEXT,
-      url TEXT,
-      updated_at TEXT
-    );
-    CREATE TABLE IF NOT EXISTS faculty_publications (
-      faculty_id TEXT NOT NULL,
-      pmid TEXT NOT NULL,
-      first_seen_at TEXT NOT NULL,
-      last_seen_at TEXT NOT NULL,
-      source TEXT NOT NULL DEFAULT 'pubmed',
-      PRIMARY KEY (faculty_id, pmid)
-    );
-    CREATE TABLE IF NOT EXISTS curation (
-      faculty_id TEXT NOT NULL,
-      pmid TEXT NOT NULL,
-      verdict TEXT NOT NULL CHECK (verdict IN ('true_positive', 'false_positive')),
-      reason TEXT,
-      updated_at TEXT NOT NULL,
-      PRIMARY KEY (faculty_id, pmid)
-    );
-    CREATE TABLE IF NOT EXISTS faculty_publication_coauthors (
-      faculty_id TEXT NOT NULL,
-      pmid TEXT NOT NULL,
-      name TEXT NOT NULL,
-      PRIMARY KEY (faculty_id, pmid, name)
-    );
-
-    CREATE TABLE IF NOT EXISTS grants (
-      id TEXT PRIMARY KEY,
-      core_project_num TEXT,
-      title TEXT,
-      start_date TEXT,
-      end_date TEXT,
-      fiscal_year INTEGER,
-      url TEXT,
-      updated_at TEXT NOT NULL DEFAULT (datetime('now'))
-    );
-
-    CREATE TABLE IF NOT EXISTS faculty_grants (
-      faculty_id TEXT NOT NULL,
-      grant_id TEXT NOT NULL,
-      role TEXT,
-      amount REAL,
-      source TEXT NOT NULL DEFAULT 'nih_reporter',
-      updated_at TEXT NOT NULL DEFAULT (datetime('now')),
-      PRIMARY KEY (faculty_id, grant_id),
-      FOREIGN KEY (faculty_id) REFERENCES faculty(id),
-      FOREIGN KEY (grant_id) REFERENCES grants(id)
-    );
-    CREATE INDEX IF NOT EXISTS idx_faculty_grants_faculty ON faculty_grants(faculty_id);
-    CREATE INDEX IF NOT EXISTS idx_faculty_grants_grant ON faculty_grants(grant_id);
-  `);
-
-  const currentVersion = db.pragma('user_version', { simple: true });
-  if (currentVersion < 1) {
-    db.pragma('user_version = 1');
-  }
+  const applied = runMigrations(db);
+  applied.forEach((migration) =>
+    console.log(`Applied schema migration ${migration.version}: ${migration.name}`)
+  );
   return db;
 };
 
-const findFacultyByIdentity = (db, { orcid, email, legacySlug }) => {
+const findFacultyByIdentity = (db, { orcid, email, legacySlug }, excludeIds = new Set()) => {
   const normalizedOrcid = normalizeIdentity(orcid);
   const normalizedEmail = normalizeIdentity(email);
   const normalizedSlug = normalizeIdentity(legacySlug);
+  const firstAllowed = (rows) => rows.find((row) => row.id && !excludeIds.has(row.id))?.id || '';
 
   if (normalizedOrcid) {
-    const byOrcid = db
-      .prepare('SELECT id FROM faculty WHERE lower(orcid) = ? LIMIT 1')
-      .get(normalizedOrcid);
-    if (byOrcid?.id) {
-      return byOrcid.id;
+    const byOrcid = firstAllowed(
+      db.prepare('SELECT id FROM faculty WHERE lower(orcid) = ?').all(normalizedOrcid)
+    );
+    if (byOrcid) {
+      return byOrcid;
     }
-    const aliasOrcid = db
-      .prepare('SELECT faculty_id AS id FROM faculty_aliases WHERE lower(alias_orcid) = ? LIMIT 1')
-      .get(normalizedOrcid);
-    if (aliasOrcid?.id) {
-      return aliasOrcid.id;
+    const aliasOrcid = firstAllowed(
+      db
+        .prepare('SELECT faculty_id AS id FROM faculty_aliases WHERE lower(alias_orcid) = ?')
+        .all(normalizedOrcid)
+    );
+    if (aliasOrcid) {
+      return aliasOrcid;
     }
   }
 
   if (normalizedEmail) {
-    const byEmail = db
-      .prepare('SELECT id FROM faculty WHERE lower(email) = ? LIMIT 1')
-      .get(normalizedEmail);
-    if (byEmail?.id) {
-      return byEmail.id;
+    const byEmail = firstAllowed(
+      db.prepare('SELECT id FROM faculty WHERE lower(email) = ?').all(normalizedEmail)
+    );
+    if (byEmail) {
+      return byEmail;
     }
-    const aliasEmail = db
-      .prepare('SELECT faculty_id AS id FROM faculty_aliases WHERE lower(alias_email) = ? LIMIT 1')
-      .get(normalizedEmail);
-    if (aliasEmail?.id) {
-      return aliasEmail.id;
+    const aliasEmail = firstAllowed(
+      db
+        .prepare('SELECT faculty_id AS id FROM faculty_aliases WHERE lower(alias_email) = ?')
+        .all(normalizedEmail)
+    );
+    if (aliasEmail) {
+      return aliasEmail;
     }
   }
 
   if (normalizedSlug) {
-    const bySlug = db
-      .prepare('SELECT id FROM faculty WHERE lower(external_slug) = ? LIMIT 1')
-      .get(normalizedSlug);
-    if (bySlug?.id) {
-      return bySlug.id;
+    const bySlug = firstAllowed(
+      db.prepare('SELECT id FROM faculty WHERE lower(external_slug) = ?').all(normalizedSlug)
+    );
+    if (bySlug) {
+      return bySlug;
     }
   }
 
   return '';
 };
 
+export const deriveNameVariants = (foreName, lastName) => {
+  const fore = String(foreName || '').trim();
+  const last = String(lastName || '').trim();
+  if (!last) {
+    return [];
+  }
+  const lastNames = [last];
+  const parenthetical = last.match(/^(.+?)\s*\((.+)\)$/);
+  if (parenthetical) {
+    lastNames.push(parenthetical[1].trim(), parenthetical[2].trim());
+  }
+  const foreNames = [fore];
+  const tokens = fore.split(/\s+/).filter(Boolean);
+  if (tokens.length >= 2 && tokens[0].replace(/[^a-zA-Z]/g, '').length === 1) {
+    foreNames.push(tokens.slice(1).join(' '));
+  }
+  return lastNames.flatMap((lastName) => foreNames.map((foreName) => ({ foreName, lastName })));
+};
+
+export const upsertFacultyNameVariant = (db, facultyId, variant, source = 'csv', sourcePmid = null) => {
+  const foreName = String(variant?.foreName || '').trim();
+  const lastName = String(variant?.lastName || '').trim();
+  if (!facultyId || !lastName) {
+    return false;
+  }
+  const result = db
+    .prepare(`
+      INSERT OR IGNORE INTO faculty_name_variants (faculty_id, fore_name, last_name, source, source_pmid)
+      VALUES (?, ?, ?, ?, ?)
+    `)
+    .run(facultyId, foreName, lastName, source, sourcePmid);
+  return result.changes > 0;
+};
+
+export const getFacultyNameVariants = (db, facultyId) =>
+  db
+    .prepare(
+      `
+      SELECT fore_name AS foreName, last_name AS lastName, source
+      FROM faculty_name_variants
+      WHERE faculty_id = ?
+      ORDER BY last_name ASC, fore_name ASC
+    `
+    )
+    .all(facultyId);
+
 export const upsertCanonicalFaculty = (db, person, options = {}) => {
   const source = options.source || 'csv';
+  const reactivate = options.reactivate === false ? 0 : 1;
   const legacySlug = toSlug(options.legacySlug || person.id || '');
   const displayName =
     person.name ||
@@ -210,15 +160,26 @@ export const upsertCanonicalFaculty = (db, person, options = {}) => {
   const lastName = String(person.lastName || '').trim();
   const email = String(person.email || '').trim();
   const orcid = String(person.orcid || '').trim();
+  const department = String(person.department || '').trim();
+  const college = String(person.college || '').trim();
+  const academicRank = String(person.rank || '').trim();
 
-  let canonicalId = findFacultyByIdentity(db, { orcid, email, legacySlug });
+  let canonicalId =
+    toSlug(options.canonicalId || '') ||
+    findFacultyByIdentity(db, { orcid, email, legacySlug }, options.excludeIds);
   if (!canonicalId) {
     canonicalId = legacySlug || toSlug(displayName);
   }
 
   db.prepare(`
-    INSERT INTO faculty (id, external_slug, display_name, fore_name, last_name, email, orcid, active, updated_at)
-    VALUES (@id, @external_slug, @display_name, @fore_name, @last_name, @email, @orcid, 1, datetime('now'))
+    INSERT INTO faculty (
+      id, external_slug, display_name, fore_name, last_name, email, orcid,
+      department, college, academic_rank, active, updated_at
+    )
+    VALUES (
+      @id, @external_slug, @display_name, @fore_name, @last_name, @email, @orcid,
+      @department, @college, @academic_rank, 1, datetime('now')
+    )
     ON CONFLICT(id) DO UPDATE SET
       external_slug = COALESCE(NULLIF(faculty.external_slug, ''), excluded.external_slug),
       display_name = COALESCE(NULLIF(excluded.display_name, ''), faculty.display_name),
@@ -226,7 +187,10 @@ export const upsertCanonicalFaculty = (db, person, options = {}) => {
       last_name = COALESCE(NULLIF(excluded.last_name, ''), faculty.last_name),
       email = COALESCE(NULLIF(excluded.email, ''), faculty.email),
       orcid = COALESCE(NULLIF(excluded.orcid, ''), faculty.orcid),
-      active = 1,
+      department = COALESCE(NULLIF(excluded.department, ''), faculty.department),
+      college = COALESCE(NULLIF(excluded.college, ''), faculty.college),
+      academic_rank = COALESCE(NULLIF(excluded.academic_rank, ''), faculty.academic_rank),
+      active = CASE WHEN @reactivate = 1 THEN 1 ELSE faculty.active END,
       updated_at = excluded.updated_at
   `).run({
     id: canonicalId,
@@ -235,7 +199,11 @@ export const upsertCanonicalFaculty = (db, person, options = {}) => {
     fore_name: foreName,
     last_name: lastName,
     email,
-    orcid
+    orcid,
+    department,
+    college,
+    academic_rank: academicRank,
+    reactivate
   });
 
   db.prepare(`
@@ -251,11 +219,19 @@ export const upsertCanonicalFaculty = (db, person, options = {}) => {
       return;
     }
     db.prepare(`
-      INSERT OR IGNORE INTO faculty_programs (faculty_id, program, start_date, end_date)
-      VALUES (?, ?, ?, '')
-    `).run(canonicalId, cleanProgram, toIsoDate(person.startDate));
+      INSERT INTO faculty_programs (faculty_id, program, start_date, end_date)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(faculty_id, program, start_date) DO UPDATE SET
+        end_date = COALESCE(NULLIF(excluded.end_date, ''), faculty_programs.end_date)
+    `).run(canonicalId, cleanProgram, toIsoDate(person.startDate), toIsoDate(person.endDate));
   });
 
+  const nameVariants =
+    Array.isArray(person.nameVariants) && person.nameVariants.length
+      ? person.nameVariants
+      : deriveNameVariants(foreName, lastName);
+  nameVariants.forEach((variant) => upsertFacultyNameVariant(db, canonicalId, variant, source));
+
   const signatureTerms = Array.isArray(person.signatureTerms) ? person.signatureTerms : [];
   signatureTerms.forEach((term) => {
     const cleanTerm = String(term || '').trim();
@@ -275,6 +251,124 @@ export const upsertCanonicalFaculty = (db, person, options = {}) => {
   return canonicalId;
 };
 
+export const updateFacultyAttribution = (db, identity, attribution) => {
+  const facultyId = findFacultyByIdentity(db, {
+    orcid: String(identity.orcid || '').trim(),
+    email: String(identity.email || '').trim(),
+    legacySlug: toSlug(identity.personId || '')
+  });
+  if (!facultyId) {
+    return '';
+  }
+  db.prepare(`
+    UPDATE faculty SET
+      department = COALESCE(NULLIF(@department, ''), department),
+      college = COALESCE(NULLIF(@college, ''), college),
+      academic_rank = COALESCE(NULLIF(@academic_rank, ''), academic_rank),
+      updated_at = datetime('now')
+    WHERE id = @id
+  `).run({
+    id: facultyId,
+    department: String(attribution.department || '').trim(),
+    college: String(attribution.college || '').trim(),
+    academic_rank: String(attribution.rank || '').trim()
+  });
+  return facultyId;
+};
+
+export const buildQueryFingerprint = (value) =>
+  createHash('sha256').update(JSON.stringify(value)).digest('hex').slice(0, 16);
+
+export const getHarvestState = (db, facultyId, fingerprint, source = 'pubmed') =>
+  db
+    .prepare(
+      `
+      SELECT last_harvested_at AS lastHarvestedAt,
+        last_full_harvest_at AS lastFullHarvestAt,
+        last_new_pmid_count AS lastNewPmidCount
+      FROM harvest_state
+      WHERE faculty_id = ? AND source = ? AND query_fingerprint = ?
+    `
+    )
+    .get(facultyId, source, fingerprint) || null;
+
+export const recordHarvestState = (db, facultyId, fingerprint, harvest, source = 'pubmed') => {
+  db.prepare(`
+    INSERT INTO harvest_state
+      (faculty_id, source, query_fingerprint, last_harvested_at, last_full_harvest_at, last_new_pmid_count)
+    VALUES (@faculty_id, @source, @fingerprint, @harvested_at, @full_harvest_at, @new_pmid_count)
+    ON CONFLICT(faculty_id, source, query_fingerprint) DO UPDATE SET
+      last_harvested_at = excluded.last_harvested_at,
+      last_full_harvest_at = COALESCE(excluded.last_full_harvest_at, harvest_state.last_full_harvest_at),
+      last_new_pmid_count = excluded.last_new_pmid_count
+  `).run({
+    faculty_id: facultyId,
+    source,
+    fingerprint,
+    harvested_at: harvest.harvestedAt,
+    full_harvest_at: harvest.full ? harvest.harvestedAt : null,
+    new_pmid_count: harvest.newPmidCount || 0
+  });
+};
+
+export const startHarvestRun = (db, config, source = 'pubmed') =>
+  Number(
+    db
+      .prepare('INSERT INTO harvest_runs (source, started_at, config) VALUES (?, ?, ?)')
+      .run(source, new Date().toISOString(), JSON.stringify(config)).lastInsertRowid
+  );
+
+export const finishHarvestRun = (db, runId, { error = null } = {}) => {
+  db.prepare(`
+    UPDATE harvest_runs SET
+      status = ?,
+      finished_at = ?,
+      error = ?,
+      faculty_count = (SELECT COUNT(*) FROM harvest_run_faculty WHERE run_id = harvest_runs.id)
+    WHERE id = ?
+  `).run(error ? 'failed' : 'succeeded', new Date().toISOString(), error, runId);
+};
+
+export const recordHarvestRunFaculty = (db, runId, facultyId, outcome) => {
+  db.prepare(`
+    INSERT INTO harvest_run_faculty (
+      run_id, faculty_id, harvest_mode, query_term, pmids_returned, pmids_kept,
+      pmids_rejected_affiliation, pmids_rejected_date, pmids_curated_true, pmids_curated_false,
+      started_at, finished_at, error
+    )
+    VALUES (
+      @run_id, @faculty_id, @harvest_mode, @query_term, @pmids_returned, @pmids_kept,
+      @pmids_rejected_affiliation, @pmids_rejected_date, @pmids_curated_true, @pmids_curated_false,
+      @started_at, @finished_at, @error
+    )
+    ON CONFLICT(run_id, faculty_id) DO UPDATE SET
+      harvest_mode = excluded.harvest_mode,
+      query_term = excluded.query_term,
+      pmids_returned = excluded.pmids_returned,
+      pmids_kept = excluded.pmids_kept,
+      pmids_rejected_affiliation = excluded.pmids_rejected_affiliation,
+      pmids_rejected_date = excluded.pmids_rejected_date,
+      pmids_curated_true = excluded.pmids_curated_true,
+      pmids_curated_false = excluded.pmids_curated_false,
+      finished_at = excluded.finished_at,
+      error = excluded.error
+  `).run({
+    run_id: runId,
+    faculty_id: facultyId,
+    harvest_mode: outcome.harvestMode || 'full',
+    query_term: outcome.queryTerm || '',
+    pmids_returned: outcome.pmidsReturned || 0,
+    pmids_kept: outcome.pmidsKept || 0,
+    pmids_rejected_affiliation: outcome.pmidsRejectedAffiliation || 0,
+    pmids_rejected_date: outcome.pmidsRejectedDate || 0,
+    pmids_curated_true: outcome.pmidsCuratedTrue || 0,
+    pmids_curated_false: outcome.pmidsCuratedFalse || 0,
+    started_at: outcome.startedAt,
+    finished_at: outcome.error ? null : new Date().toISOString(),
+    error: outcome.error || null
+  });
+};
+
 export const getFacultySignatureTerms = (db, facultyId) =>
   db
     .prepare(
@@ -302,6 +396,52 @@ const remapPairTable = (db, tableName, legacyId, canonicalId, extraCols = []) =>
   db.prepare(`DELETE FROM ${tableName} WHERE faculty_id = ?`).run(legacyId);
 };
 
+export const getCurationVerdict = (db, facultyId, pmid) =>
+  db
+    .prepare('SELECT verdict, reason FROM curation WHERE faculty_id = ? AND pmid = ?')
+    .get(facultyId, String(pmid)) || null;
+
+export const applyCurationVerdict = (db, change) => {
+  const pmid = String(change.pmid);
+  const verdict = change.verdict || null;
+  const reason = change.reason || null;
+  const current = getCurationVerdict(db, change.facultyId, pmid);
+  if (!current && !verdict) {
+    return false;
+  }
+  if (current && current.verdict === verdict && (current.reason || null) === reason) {
+    return false;
+  }
+  const timestamp = change.updatedAt || new Date().toISOString();
+  if (verdict) {
+    db.prepare(`
+      INSERT INTO curation (faculty_id, pmid, verdict, reason, updated_at)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(faculty_id, pmid)
+      DO UPDATE SET verdict = excluded.verdict, reason = excluded.reason, updated_at = excluded.updated_at
+    `).run(change.facultyId, pmid, verdict, reason, timestamp);
+  } else {
+    db.prepare('DELETE FROM curation WHERE faculty_id = ? AND pmid = ?').run(change.facultyId, pmid);
+  }
+  db.prepare(`
+    INSERT INTO curation_events
+      (faculty_id, pmid, previous_verdict, previous_reason, new_verdict, reason, curator, source, batch_id, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    change.facultyId,
+    pmid,
+    current?.verdict || null,
+    current?.reason || null,
+    verdict,
+    change.eventReason || reason,
+    change.curator || null,
+    change.source,
+    change.batchId || null,
+    new Date().toISOString()
+  );
+  return true;
+};
+
 export const remapFacultyIdReferences = (db, legacyId, canonicalId) => {
   const fromId = String(legacyId || '').trim();
   const toId = String(canonicalId || '').trim();
@@ -313,22 +453,46 @@ export const remapFacultyIdReferences = (db, legacyId, canonicalId) => {
     remapPairTable(db, 'faculty_publications', fromId, toId, [
       'first_seen_at',
       'last_seen_at',
-      'source'
+      'source',
+      'author_position',
+      'author_match'
     ]);
     remapPairTable(db, 'faculty_publication_coauthors', fromId, toId, ['name']);
+    remapPairTable(db, 'match_scores', fromId, toId, [
+      'score',
+      'match_type',
+      'affiliation',
+      'coauthor_overlap',
+      'journal_overlap',
+      'negative_overlap',
+      'explanation',
+      'scored_at'
+    ]);
 
-    db.prepare(`
-      INSERT INTO curation (faculty_id, pmid, verdict, reason, updated_at)
-      SELECT ?, pmid, verdict, reason, updated_at
-      FROM curation
-      WHERE faculty_id = ?
-      ON CONFLICT(faculty_id, pmid)
-      DO UPDATE SET
-        verdict = excluded.verdict,
-        reason = excluded.reason,
-        updated_at = excluded.updated_at
-    `).run(toId, fromId);
-    db.prepare('DELETE FROM curation WHERE faculty_id = ?').run(fromId);
+    db.prepare('SELECT pmid, verdict, reason, updated_at FROM curation WHERE faculty_id = ?')
+      .all(fromId)
+      .forEach((row) => {
+        const existing = getCurationVerdict(db, toId, row.pmid);
+        if (!existing || row.verdict !== 'pending' || existing.verdict === 'pending') {
+          applyCurationVerdict(db, {
+            facultyId: toId,
+            pmid: row.pmid,
+            verdict: row.verdict,
+            reason: row.reason,
+            source: 'merge',
+            batchId: `merge-${fromId}`,
+            updatedAt: row.updated_at
+          });
+        }
+        applyCurationVerdict(db, {
+          facultyId: fromId,
+          pmid: row.pmid,
+          verdict: null,
+          reason: `merged into ${toId}`,
+          source: 'merge',
+          batchId: `merge-${fromId}`
+        });
+      });
 
     db.prepare(`
       INSERT OR IGNORE INTO faculty_programs (faculty_id, program, start_date, end_date)
@@ -345,6 +509,17 @@ export const remapFacultyIdReferences = (db, legacyId, canonicalId) => {
       WHERE faculty_id = ?
     `).run(toId, fromId);
     db.prepare('DELETE FROM faculty_signature_terms WHERE faculty_id = ?').run(fromId);
+
+    db.prepare(`
+      INSERT OR IGNORE INTO faculty_name_variants
+        (faculty_id, fore_name, last_name, source, source_pmid, created_at)
+      SELECT ?, fore_name, last_name, source, source_pmid, created_at
+      FROM faculty_name_variants
+      WHERE faculty_id = ?
+    `).run(toId, fromId);
+    db.prepare('DELETE FROM faculty_name_variants WHERE faculty_id = ?').run(fromId);
+
+    db.prepare('DELETE FROM harvest_state WHERE faculty_id = ?').run(fromId);
   });
   tx();
 };
@@ -372,6 +547,13 @@ export const upsertGrant = (db, grant) => {
   });
 };
 
+export const setFacultyReporterUrl = (db, facultyId, url) => {
+  db.prepare("UPDATE faculty SET reporter_url = ?, updated_at = datetime('now') WHERE id = ?").run(
+    String(url || '').trim(),
+    facultyId
+  );
+};
+
 export const replaceFacultyGrants = (db, facultyId, grants, source = 'nih_reporter') => {
   const id = String(facultyId || '').trim();
   if (!id) {
@@ -1,8 +1,29 @@
 import { existsSync } from 'node:fs';
-import { readFile } from 'node:fs/promises';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
 import path from 'node:path';
 import dotenv from 'dotenv';
-import { initDb, remapFacultyIdReferences, toSlug, upsertCanonicalFaculty } from './db.mjs';
+import {
+  initDb,
+  remapFacultyIdReferences,
+  toSlug,
+  updateFacultyAttribution,
+  upsertCanonicalFaculty,
+  upsertFacultyNameVariant
+} from './db.mjs';
+import {
+  applyOrcidCorrections,
+  readIdentityOverrides,
+  resolveOverrideCanonicalId
+} from './overrides.mjs';
+import {
+  FACULTY_DIRECTORY,
+  ROSTERS,
+  normalizeOrcid,
+  parseRosterDate,
+  readRoster,
+  readRosterRecords
+} from './rosters.mjs';
+import { formatRosterIssue, validateRosters } from './roster-validation.mjs';
 
 const envLocal = path.resolve('.env.local');
 if (existsSync(envLocal)) {
@@ -11,77 +32,19 @@ if (existsSync(envLocal)) {
   dotenv.config();
 }
 
-const CSV_PATH = path.resolve('data', 'CTSI Faculty - Sheet1.csv');
-const OVERRIDES_PATH = path.resolve('data', 'faculty-identity-overrides.json');
-
-const parseCsv = (text) => {
-  const rows = [];
-  let row = [];
-  let field = '';
-  let inQuotes = false;
-
-  for (let i = 0; i < text.length; i += 1) {
-    const char = text[i];
-    const nextChar = text[i + 1];
-    if (char === '"') {
-      if (inQuotes && nextChar === '"') {
-        field += '"';
-        i += 1;
-      } else {
-        inQuotes = !inQuotes;
-      }
-      continue;
-    }
-    if (char === ',' && !inQuotes) {
-      row.push(field);
-      field = '';
-      continue;
-    }
-    if ((char === '\n' || char === '\r') && !inQuotes) {
-      if (char === '\r' && nextChar === '\n') {
-        i += 1;
-      }
-      row.push(field);
-      rows.push(row);
-      row = [];
-      field = '';
-      continue;
-    }
-    field += char;
-  }
-
-  if (field.length > 0 || row.length > 0) {
-    row.push(field);
-    rows.push(row);
-  }
-  return rows;
-};
-
-const normalizeHeader = (value) =>
-  String(value || '')
-    .trim()
-    .toLowerCase()
-    .replace(/\s+/g, '_');
+const REPORTS_DIR = path.resolve('data', 'roster-reports');
+const IDENTITY_FIELDS = [
+  'display_name',
+  'fore_name',
+  'last_name',
+  'email',
+  'orcid',
+  'department',
+  'college',
+  'academic_rank'
+];
 
 const normalize = (value) => String(value || '').trim();
-const normalizeIdentity = (value) => normalize(value).toLowerCase();
-
-const parseStartDate = (value) => {
-  const raw = normalize(value);
-  if (!raw) {
-    return null;
-  }
-  const parts = raw.split('/');
-  if (parts.length !== 3) {
-    return null;
-  }
-  const [month, day, year] = parts.map((part) => Number(part));
-  if (!month || !day || !year) {
-    return null;
-  }
-  const date = new Date(year, month - 1, day);
-  return Number.isNaN(date.getTime()) ? null : date;
-};
 
 const parsePrograms = (value) => {
   const token = normalize(value);
@@ -94,95 +57,284 @@ const parseSignatureTerms = (value) =>
     .map((term) => term.trim())
     .filter(Boolean);
 
-const readOverrides = async () => {
-  if (!existsSync(OVERRIDES_PATH)) {
-    return [];
-  }
-  const raw = await readFile(OVERRIDES_PATH, 'utf8');
-  const data = JSON.parse(raw);
-  return Array.isArray(data.aliases) ? data.aliases : [];
-};
-
-const parseFacultyRecords = (rows) => {
-  const [headerRow, ...body] = rows;
-  const headers = headerRow.map(normalizeHeader);
-  return body
-    .map((row) =>
-      headers.reduce((acc, header, index) => {
-        acc[header] = normalize(row[index]);
-        return acc;
-      }, {})
-    )
-    .filter((record) => record.fore_name || record.first_name)
+const parseFacultyRecords = (records, roster) =>
+  records
+    .filter((record) => record.foreName && record.lastName)
     .map((record) => {
-      const foreName = record.fore_name || record.first_name || '';
-      const lastName = record.last_name || '';
-      const email = record.email || '';
-      const orcid = record.orcid || record.orcid_id || '';
-      const legacySlug = toSlug(record.person_id || `${foreName}-${lastName}-${email}`);
+      const { foreName, lastName, email } = record;
+      const legacySlug = toSlug(record.personId || `${foreName}-${lastName}-${email}`);
       return {
         id: legacySlug,
         legacySlug,
+        roster: roster.id,
+        rowNumber: record.rowNumber,
+        source: roster.source,
         foreName,
         lastName,
         name: `${foreName} ${lastName}`.trim(),
         email,
-        orcid: /^none$/i.test(orcid) ? '' : orcid,
-        signatureTerms: parseSignatureTerms(record.signature_terms),
-        programs: parsePrograms(record.program),
-        startDate: parseStartDate(record.start_date || record.funding_start_date)
+        orcid: normalizeOrcid(record.orcid),
+        signatureTerms: parseSignatureTerms(record.signatureTerms),
+        programs: parsePrograms(record.program || record.defaultProgram),
+        startDate: parseRosterDate(record.startDate),
+        endDate: parseRosterDate(record.endDate),
+        department: record.department || '',
+        college: record.college || '',
+        rank: record.rank || ''
       };
     });
+
+const applyFacultyDirectory = async (db) => {
+  if (!existsSync(FACULTY_DIRECTORY.path)) {
+    return { matched: 0, unmatched: [] };
+  }
+  const records = await readRosterRecords(FACULTY_DIRECTORY);
+  const unmatched = [];
+  let matched = 0;
+  records
+    .filter((record) => record.department || record.college || record.rank)
+    .forEach((record) => {
+      if (updateFacultyAttribution(db, record, record)) {
+        matched += 1;
+        return;
+      }
+      unmatched.push(
+        `row ${record.rowNumber} (${record.email || record.orcid || record.personId || 'no identity'})`
+      );
+    });
+  return { matched, unmatched };
 };
 
-const resolveOverrideCanonicalId = (person, aliases) => {
-  const personEmail = normalizeIdentity(person.email);
-  const personOrcid = normalizeIdentity(person.orcid);
-  const personName = normalizeIdentity(person.name);
-
-  for (const alias of aliases) {
-    const match = alias?.match || {};
-    const matchEmail = normalizeIdentity(match.email);
-    const matchOrcid = normalizeIdentity(match.orcid);
-    const matchName = normalizeIdentity(match.name);
-    if (matchEmail && matchEmail === personEmail) {
-      return toSlug(alias.canonicalId);
+const snapshotFaculty = (db) =>
+  new Map(
+    db
+      .prepare(`SELECT id, ${IDENTITY_FIELDS.join(', ')}, active FROM faculty`)
+      .all()
+      .map((row) => [row.id, row])
+  );
+
+const diffRoster = ({ before, after, seenIds, mergedInto, pinnedIds }) => {
+  const diff = {
+    added: [],
+    reactivated: [],
+    removed: [],
+    pinned: [],
+    merged: [],
+    changed: []
+  };
+
+  seenIds.forEach((id) => {
+    const previous = before.get(id);
+    const current = after.get(id);
+    if (!previous) {
+      diff.added.push(current);
+      return;
     }
-    if (matchOrcid && matchOrcid === personOrcid) {
-      return toSlug(alias.canonicalId);
+    if (!previous.active) {
+      diff.reactivated.push(current);
     }
-    if (matchName && matchName === personName) {
-      return toSlug(alias.canonicalId);
+    const changes = IDENTITY_FIELDS.filter(
+      (field) => normalize(previous[field]) !== normalize(current?.[field])
+    ).map((field) => ({ field, from: previous[field] || '', to: current?.[field] || '' }));
+    if (changes.length) {
+      diff.changed.push({ ...current, changes });
     }
-  }
-  return '';
+  });
+
+  after.forEach((row, id) => {
+    if (seenIds.has(id) || !row.active) {
+      return;
+    }
+    if (mergedInto.has(id)) {
+      diff.merged.push({ ...row, canonicalId: mergedInto.get(id) });
+    } else if (pinnedIds.has(id)) {
+      diff.pinned.push(row);
+    } else {
+      diff.removed.push(row);
+    }
+  });
+
+  return diff;
+};
+
+const describeFaculty = (row) => `${row.display_name || row.id} (\`${row.id}\`)`;
+
+const formatRosterReport = (diff, rosterCounts, { deactivated, appliedRules }) => {
+  const lines = [
+    '# Roster change report',
+    '',
+    `Generated ${new Date().toISOString()}`,
+    '',
+    ...rosterCounts.map(({ id, count }) => `- Roster \`${id}\`: ${count} rows`),
+    ''
+  ];
+  const section = (title, rows, format = describeFaculty) => {
+    lines.push(`## ${title} (${rows.length})`, '');
+    if (!rows.length) {
+      lines.push('None.', '');
+      return;
+    }
+    rows.forEach((row) => lines.push(`- ${format(row)}`));
+    lines.push('');
+  };
+
+  section('Added', diff.added);
+  section('Reactivated', diff.reactivated);
+  section(
+    deactivated ? 'Removed from every roster (deactivated)' : 'Removed from every roster (not deactivated)',
+    diff.removed
+  );
+  section('Removed from every roster but pinned (kept active)', diff.pinned);
+  section(
+    deactivated ? 'Merged into another ID (deactivated)' : 'Merged into another ID (not deactivated)',
+    diff.merged,
+    (row) => `${describeFaculty(row)} → \`${row.canonicalId}\``
+  );
+  section('Identity changes', diff.changed, (row) =>
+    `${describeFaculty(row)}: ${row.changes
+      .map(({ field, from, to }) => `${field} \`${from || '∅'}\` → \`${to || '∅'}\``)
+      .join('; ')}`
+  );
+  section('Override rules applied', appliedRules, describeAppliedRule);
+  return `${lines.join('\n').trimEnd()}\n`;
+};
+
+const describeAppliedRule = (entry) =>
+  `${entry.where}: ${entry.name} → \`${entry.canonicalId}\` via ${entry.rules.join(', ')}`;
+
+const writeRosterReport = async (report) => {
+  await mkdir(REPORTS_DIR, { recursive: true });
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const reportPath = path.join(REPORTS_DIR, `roster-diff-${stamp}.md`);
+  await writeFile(reportPath, report, 'utf8');
+  return reportPath;
 };
 
 const main = async () => {
-  const csvText = await readFile(CSV_PATH, 'utf8');
-  const rows = parseCsv(csvText);
-  const facultyRecords = parseFacultyRecords(rows);
-  const overrides = await readOverrides();
+  const validation = await validateRosters();
+  validation.errors.forEach((issue) => console.error(formatRosterIssue(issue)));
+  if (validation.errors.length) {
+    throw new Error(
+      `Roster validation found ${validation.errors.length} errors; nothing was ingested. ` +
+        'Run `npm run validate:rosters` for the full report.'
+    );
+  }
+  if (validation.warnings.length) {
+    console.warn(
+      `Roster validation: ${validation.warnings.length} warnings (see \`npm run validate:rosters\`).`
+    );
+  }
+
+  const facultyRecords = [];
+  const rosterCounts = [];
+  let missingRosters = 0;
+  for (const roster of ROSTERS) {
+    const rosterRecords = await readRoster(roster);
+    if (!rosterRecords) {
+      missingRosters += 1;
+      continue;
+    }
+    const records = parseFacultyRecords(rosterRecords, roster);
+    console.log(`Read ${records.length} rows from roster ${roster.id}.`);
+    rosterCounts.push({ id: roster.id, count: records.length });
+    facultyRecords.push(...records);
+  }
+  const overrides = await readIdentityOverrides();
+  const { pinned } = overrides;
+  const pinnedIds = new Set(pinned);
+  const splitIds = new Set(overrides.splits.map((split) => toSlug(split.canonicalId)));
   const db = initDb();
+  const before = snapshotFaculty(db);
+  const deleteAliasOrcid = db.prepare(
+    'DELETE FROM faculty_aliases WHERE faculty_id = ? AND lower(alias_orcid) = lower(?)'
+  );
 
   let mergedCount = 0;
   const canonicalIds = new Set();
-  for (const person of facultyRecords) {
-    const overrideCanonicalId = resolveOverrideCanonicalId(person, overrides);
+  const mergedInto = new Map();
+  const appliedRules = [];
+  for (const sourcePerson of facultyRecords) {
+    const correction = applyOrcidCorrections(sourcePerson, overrides);
+    const person = correction.person;
+    const override = resolveOverrideCanonicalId(person, overrides);
     const canonicalId = upsertCanonicalFaculty(db, person, {
-      source: 'csv',
-      legacySlug: person.legacySlug
+      source: person.source,
+      legacySlug: person.legacySlug,
+      canonicalId: override.split ? override.canonicalId : '',
+      excludeIds: splitIds
     });
-    const resolvedCanonicalId = overrideCanonicalId || canonicalId;
+    const resolvedCanonicalId = override.canonicalId || canonicalId;
     if (resolvedCanonicalId !== canonicalId) {
       upsertCanonicalFaculty(db, { ...person, id: resolvedCanonicalId }, { source: 'override' });
     }
+    if (correction.previousOrcid) {
+      deleteAliasOrcid.run(resolvedCanonicalId, correction.previousOrcid);
+    }
+    const rules = [correction.rule, override.rule].filter(Boolean);
+    if (rules.length) {
+      appliedRules.push({
+        where: `${person.roster} row ${person.rowNumber}`,
+        name: person.name,
+        canonicalId: resolvedCanonicalId,
+        rules
+      });
+    }
     remapFacultyIdReferences(db, person.legacySlug, resolvedCanonicalId);
     if (person.legacySlug !== resolvedCanonicalId) {
       mergedCount += 1;
     }
+    if (canonicalId !== resolvedCanonicalId) {
+      mergedInto.set(canonicalId, resolvedCanonicalId);
+    }
     canonicalIds.add(resolvedCanonicalId);
   }
+  canonicalIds.forEach((id) => mergedInto.delete(id));
+
+  const directory = await applyFacultyDirectory(db);
+
+  overrides.nameVariants.forEach((entry, index) => {
+    if (!canonicalIds.has(entry.facultyId)) {
+      console.warn(`nameVariants[${index}]: faculty ${entry.facultyId} is not on any roster.`);
+      return;
+    }
+    entry.variants.forEach((variant) =>
+      upsertFacultyNameVariant(db, entry.facultyId, variant, 'override')
+    );
+    appliedRules.push({
+      where: 'overrides',
+      name: entry.variants
+        .map((variant) => `${variant.foreName || ''} ${variant.lastName}`.trim())
+        .join(', '),
+      canonicalId: entry.facultyId,
+      rules: [`nameVariants[${index}]`]
+    });
+  });
+
+  const diff = diffRoster({
+    before,
+    after: snapshotFaculty(db),
+    seenIds: canonicalIds,
+    mergedInto,
+    pinnedIds
+  });
+  const canDeactivate = missingRosters === 0 && facultyRecords.length > 0;
+  if (canDeactivate) {
+    const deactivate = db.prepare(
+      "UPDATE faculty SET active = 0, updated_at = datetime('now') WHERE id = ?"
+    );
+    db.transaction(() => {
+      [...diff.removed, ...diff.merged].forEach((row) => deactivate.run(row.id));
+    })();
+  } else if (diff.removed.length || diff.merged.length) {
+    console.warn(
+      `Skipping deactivation of ${
+        diff.removed.length + diff.merged.length
+      } faculty because not every roster was read.`
+    );
+  }
+  db.prepare(
+    `UPDATE faculty SET active = 1 WHERE active = 0 AND id IN (${pinned.map(() => '?').join(', ') || "''"})`
+  ).run(...pinned);
 
   const activeCount =
     db.prepare('SELECT COUNT(*) AS count FROM faculty WHERE active = 1').get()?.count || 0;
@@ -192,7 +344,23 @@ const main = async () => {
     `Ingested ${facultyRecords.length} source rows into ${canonicalIds.size} canonical faculty IDs.`
   );
   console.log(`Merged ${mergedCount} legacy IDs via identity rules/overrides.`);
+  appliedRules.forEach((entry) => console.log(`Override ${describeAppliedRule(entry)}`));
+  if (directory.matched || directory.unmatched.length) {
+    console.log(`Applied ${directory.matched} faculty directory rows from ${FACULTY_DIRECTORY.path}.`);
+  }
+  directory.unmatched.forEach((entry) =>
+    console.warn(`Faculty directory ${entry} matched no faculty; skipping.`)
+  );
   console.log(`Faculty rows in DB (active): ${activeCount}`);
+  console.log(
+    `Roster diff: ${diff.added.length} added, ${diff.reactivated.length} reactivated, ` +
+      `${diff.removed.length} removed, ${diff.pinned.length} pinned, ` +
+      `${diff.merged.length} merged, ${diff.changed.length} changed.`
+  );
+  const reportPath = await writeRosterReport(
+    formatRosterReport(diff, rosterCounts, { deactivated: canDeactivate, appliedRules })
+  );
+  console.log(`Wrote ${reportPath}`);
 };
 
 main().catch((error) => {
@@ -0,0 +1,169 @@
+export const DEFAULT_MIN_MATCH_SCORE = 0.5;
+
+const MATCH_TYPE_WEIGHTS = { orcid: 0.6, name: 0.3, initials: 0.15 };
+const AFFILIATION_WEIGHTS = { hit: 0.4, missing: 0.2, mismatch: -0.3 };
+const COAUTHOR_WEIGHT = 0.1;
+const COAUTHOR_CAP = 0.2;
+const JOURNAL_WEIGHT = 0.1;
+const NEGATIVE_WEIGHT = 0.15;
+const NEGATIVE_CAP = 0.3;
+
+export const parseMinMatchScore = (value) => {
+  const parsed = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(parsed)
+    ? parsed
+    : DEFAULT_MIN_MATCH_SCORE;
+};
+
+export const normalizeJournalKey = (value) =>
+  String(value || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+
+export const normalizeCoauthorKey = (value) =>
+  String(value || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z]/g, '');
+
+const addToIndex = (index, key, pmid) => {
+  if (!key) {
+    return;
+  }
+  if (!index.has(key)) {
+    index.set(key, new Set());
+  }
+  index.get(key).add(String(pmid));
+};
+
+const seenElsewhere = (index, key, pmid) =>
+  Array.from(index.get(key) || []).some((other) => other !== String(pmid));
+
+export const buildMatchContext = (db, facultyId, minScore = DEFAULT_MIN_MATCH_SCORE) => {
+  const context = {
+    positiveJournals: new Map(),
+    positiveCoauthors: new Map(),
+    negativeJournals: new Map(),
+    negativeCoauthors: new Map()
+  };
+
+  db.prepare(
+    `
+    SELECT p.pmid, p.journal
+    FROM faculty_publications fp
+    INNER JOIN publications p ON p.pmid = fp.pmid
+    LEFT JOIN curation c ON c.faculty_id = fp.faculty_id AND c.pmid = fp.pmid
+    LEFT JOIN match_scores ms ON ms.faculty_id = fp.faculty_id AND ms.pmid = fp.pmid
+    WHERE fp.faculty_id = ?
+      AND (c.verdict IS NULL OR c.verdict = 'true_positive')
+      AND (c.verdict = 'true_positive' OR ms.score IS NULL OR ms.score >= ?)
+    `
+  )
+    .all(facultyId, minScore)
+    .forEach((row) =>
+      addToIndex(context.positiveJournals, normalizeJournalKey(row.journal), row.pmid)
+    );
+
+  db.prepare(
+    `
+    SELECT p.pmid, p.journal
+    FROM curation c
+    INNER JOIN publications p ON p.pmid = c.pmid
+    WHERE c.faculty_id = ? AND c.verdict = 'false_positive'
+    `
+  )
+    .all(facultyId)
+    .forEach((row) =>
+      addToIndex(context.negativeJournals, normalizeJournalKey(row.journal), row.pmid)
+    );
+
+  db.prepare(
+    `
+    SELECT fc.pmid, fc.name, c.verdict
+    FROM faculty_publication_coauthors fc
+    INNER JOIN curation c ON c.faculty_id = fc.faculty_id AND c.pmid = fc.pmid
+    WHERE fc.faculty_id = ? AND c.verdict IN ('true_positive', 'false_positive')
+    `
+  )
+    .all(facultyId)
+    .forEach((row) => {
+      const index =
+        row.verdict === 'true_positive' ? context.positiveCoauthors : context.negativeCoauthors;
+      addToIndex(index, normalizeCoauthorKey(row.name), row.pmid);
+    });
+
+  return context;
+};
+
+const formatWeight = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(2)}`;
+
+export const scoreMatch = ({ pmid, matchType, affiliation, journal, coauthors = [] }, context) => {
+  const reasons = [];
+  let score = 0;
+  const add = (weight, reason) => {
+    score += weight;
+    reasons.push(`${reason} (${formatWeight(weight)})`);
+  };
+
+  add(MATCH_TYPE_WEIGHTS[matchType] || 0, `${matchType} match`);
+
+  if (affiliation === 'hit') {
+    add(AFFILIATION_WEIGHTS.hit, 'affiliation matches an allowed term');
+  } else if (affiliation === 'missing') {
+    add(AFFILIATION_WEIGHTS.missing, 'author affiliation missing');
+  } else {
+    add(AFFILIATION_WEIGHTS.mismatch, 'affiliation matches no allowed term');
+  }
+
+  const coauthorKeys = Array.from(new Set(coauthors.map(normalizeCoauthorKey).filter(Boolean)));
+  const coauthorOverlap = coauthorKeys.filter((key) =>
+    seenElsewhere(context.positiveCoauthors, key, pmid)
+  ).length;
+  if (coauthorOverlap) {
+    add(
+      Math.min(coauthorOverlap * COAUTHOR_WEIGHT, COAUTHOR_CAP),
+      `${coauthorOverlap} coauthor(s) shared with curated true positives`
+    );
+  }
+
+  const journalKey = normalizeJournalKey(journal);
+  const journalOverlap = journalKey && seenElsewhere(context.positiveJournals, journalKey, pmid);
+  if (journalOverlap) {
+    add(JOURNAL_WEIGHT, 'journal appears in kept publications');
+  }
+
+  const negativeOverlap =
+    coauthorKeys.filter((key) => seenElsewhere(context.negativeCoauthors, key, pmid)).length +
+    (journalKey && seenElsewhere(context.negativeJournals, journalKey, pmid) ? 1 : 0);
+  if (negativeOverlap) {
+    add(
+      -Math.min(negativeOverlap * NEGATIVE_WEIGHT, NEGATIVE_CAP),
+      `${negativeOverlap} coauthor/journal overlap(s) with curated false positives`
+    );
+  }
+
+  return {
+    score: Math.round(Math.min(Math.max(score, 0), 1) * 100) / 100,
+    matchType,
+    affiliation,
+    coauthorOverlap,
+    journalOverlap: journalOverlap ? 1 : 0,
+    negativeOverlap,
+    explanation: reasons.join('; ')
+  };
+};
+
+export const describeBorderlineMatch = (match) => {
+  if (match.affiliation === 'mismatch') {
+    return '';
+  }
+  const reasons = [];
+  if (match.matchType === 'initials') {
+    reasons.push('initials-only match');
+  }
+  if (match.affiliation === 'missing') {
+    reasons.push('author affiliation missing');
+  }
+  return reasons.join('; ');
+};
@@ -0,0 +1,478 @@
+const addColumn = (db, tableName, columnName, definition) => {
+  const columns = db.prepare(`PRAGMA table_info(${tableName})`).all();
+  if (!columns.some((column) => column.name === columnName)) {
+    db.exec(`ALTER TABLE ${tableName} ADD COLUMN ${columnName} ${definition}`);
+  }
+};
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'baseline schema',
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS faculty (
+          id TEXT PRIMARY KEY,
+          external_slug TEXT UNIQUE,
+          display_name TEXT NOT NULL,
+          fore_name TEXT,
+          last_name TEXT,
+          email TEXT,
+          orcid TEXT,
+          active INTEGER NOT NULL DEFAULT 1,
+          created_at TEXT NOT NULL DEFAULT (datetime('now')),
+          updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+        );
+        CREATE INDEX IF NOT EXISTS idx_faculty_email ON faculty(email);
+        CREATE INDEX IF NOT EXISTS idx_faculty_orcid ON faculty(orcid);
+
+        CREATE TABLE IF NOT EXISTS faculty_aliases (
+          alias_id INTEGER PRIMARY KEY AUTOINCREMENT,
+          faculty_id TEXT NOT NULL,
+          alias_name TEXT,
+          alias_email TEXT,
+          alias_orcid TEXT,
+          source TEXT NOT NULL DEFAULT 'csv',
+          UNIQUE(faculty_id, alias_name, alias_email, alias_orcid, source),
+          FOREIGN KEY (faculty_id) REFERENCES faculty(id)
+        );
+        CREATE INDEX IF NOT EXISTS idx_alias_email ON faculty_aliases(alias_email);
+        CREATE INDEX IF NOT EXISTS idx_alias_orcid ON faculty_aliases(alias_orcid);
+
+        CREATE TABLE IF NOT EXISTS faculty_programs (
+          faculty_id TEXT NOT NULL,
+          program TEXT NOT NULL,
+          start_date TEXT,
+          end_date TEXT,
+          PRIMARY KEY (faculty_id, program, start_date),
+          FOREIGN KEY (faculty_id) REFERENCES faculty(id)
+        );
+        CREATE TABLE IF NOT EXISTS faculty_signature_terms (
+          faculty_id TEXT NOT NULL,
+          term TEXT NOT NULL,
+          term_type TEXT NOT NULL DEFAULT 'affiliation',
+          source TEXT NOT NULL DEFAULT 'csv',
+          PRIMARY KEY (faculty_id, term),
+          FOREIGN KEY (faculty_id) REFERENCES faculty(id)
+        );
+        CREATE INDEX IF NOT EXISTS idx_faculty_signature_terms_type
+          ON faculty_signature_terms(term_type);
+
+        CREATE TABLE IF NOT EXISTS publications (
+          pmid TEXT PRIMARY KEY,
+          title TEXT,
+          journal TEXT,
+          year INTEGER,
+          doi TEXT,
+          url TEXT,
+          updated_at TEXT
+        );
+        CREATE TABLE IF NOT EXISTS faculty_publications (
+          faculty_id TEXT NOT NULL,
+          pmid TEXT NOT NULL,
+          first_seen_at TEXT NOT NULL,
+          last_seen_at TEXT NOT NULL,
+          source TEXT NOT NULL DEFAULT 'pubmed',
+          PRIMARY KEY (faculty_id, pmid)
+        );
+        CREATE TABLE IF NOT EXISTS curation (
+          faculty_id TEXT NOT NULL,
+          pmid TEXT NOT NULL,
+          verdict TEXT NOT NULL CHECK (verdict IN ('true_positive', 'false_positive')),
+          reason TEXT,
+          updated_at TEXT NOT NULL,
+          PRIMARY KEY (faculty_id, pmid)
+        );
+        CREATE TABLE IF NOT EXISTS faculty_publication_coauthors (
+          faculty_id TEXT NOT NULL,
+          pmid TEXT NOT NULL,
+          name TEXT NOT NULL,
+          PRIMARY KEY (faculty_id, pmid, name)
+        );
+
+        CREATE TABLE IF NOT EXISTS grants (
+          id TEXT PRIMARY KEY,
+          core_project_num TEXT,
+          title TEXT,
+          start_date TEXT,
+          end_date TEXT,
+          fiscal_year INTEGER,
+          url TEXT,
+          updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+        );
+
+        CREATE TABLE IF NOT EXISTS faculty_grants (
+          faculty_id TEXT NOT NULL,
+          grant_id TEXT NOT NULL,
+          role TEXT,
+          amount REAL,
+          source TEXT NOT NULL DEFAULT 'nih_reporter',
+          updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+          PRIMARY KEY (faculty_id, grant_id),
+          FOREIGN KEY (faculty_id) REFERENCES faculty(id),
+          FOREIGN KEY (grant_id) REFERENCES grants(id)
+        );
+        CREATE INDEX IF NOT EXISTS idx_faculty_grants_faculty ON faculty_grants(faculty_id);
+        CREATE INDEX IF NOT EXISTS idx_faculty_grants_grant ON faculty_grants(grant_id);
+      `);
+    }
+  },
+  {
+    version: 2,
+    name: 'publication dates',
+    up: (db) => {
+      addColumn(db, 'publications', 'pub_date', 'TEXT');
+    }
+  },
+  {
+    version: 3,
+    name: 'faculty name variants',
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS faculty_name_variants (
+          faculty_id TEXT NOT NULL,
+          fore_name TEXT NOT NULL DEFAULT '',
+          last_name TEXT NOT NULL,
+          source TEXT NOT NULL DEFAULT 'csv',
+          source_pmid TEXT,
+          created_at TEXT NOT NULL DEFAULT (datetime('now')),
+          PRIMARY KEY (faculty_id, fore_name, last_name),
+          FOREIGN KEY (faculty_id) REFERENCES faculty(id)
+        );
+      `);
+    }
+  },
+  {
+    version: 4,
+    name: 'faculty department, college and rank',
+    up: (db) => {
+      addColumn(db, 'faculty', 'department', 'TEXT');
+      addColumn(db, 'faculty', 'college', 'TEXT');
+      addColumn(db, 'faculty', 'academic_rank', 'TEXT');
+    }
+  },
+  {
+    version: 5,
+    name: 'harvest watermarks',
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS harvest_state (
+          faculty_id TEXT NOT NULL,
+          source TEXT NOT NULL DEFAULT 'pubmed',
+          query_fingerprint TEXT NOT NULL,
+          last_harvested_at TEXT NOT NULL,
+          last_full_harvest_at TEXT,
+          last_pmid_count INTEGER NOT NULL DEFAULT 0,
+          PRIMARY KEY (faculty_id, source, query_fingerprint),
+          FOREIGN KEY (faculty_id) REFERENCES faculty(id)
+        );
+      `);
+    }
+  },
+  {
+    version: 6,
+    name: 'harvest run ledger',
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS harvest_runs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          source TEXT NOT NULL DEFAULT 'pubmed',
+          status TEXT NOT NULL DEFAULT 'running'
+            CHECK (status IN ('running', 'succeeded', 'failed')),
+          started_at TEXT NOT NULL,
+          finished_at TEXT,
+          config TEXT NOT NULL DEFAULT '{}',
+          faculty_count INTEGER NOT NULL DEFAULT 0,
+          error TEXT
+        );
+        CREATE TABLE IF NOT EXISTS harvest_run_faculty (
+          run_id INTEGER NOT NULL,
+          faculty_id TEXT NOT NULL,
+          harvest_mode TEXT NOT NULL DEFAULT 'full',
+          query_term TEXT,
+          pmids_returned INTEGER NOT NULL DEFAULT 0,
+          pmids_kept INTEGER NOT NULL DEFAULT 0,
+          pmids_rejected_affiliation INTEGER NOT NULL DEFAULT 0,
+          pmids_rejected_date INTEGER NOT NULL DEFAULT 0,
+          pmids_curated_true INTEGER NOT NULL DEFAULT 0,
+          pmids_curated_false INTEGER NOT NULL DEFAULT 0,
+          started_at TEXT NOT NULL,
+          finished_at TEXT,
+          error TEXT,
+          PRIMARY KEY (run_id, faculty_id),
+          FOREIGN KEY (run_id) REFERENCES harvest_runs(id)
+        );
+      `);
+    }
+  },
+  {
+    version: 7,
+    name: 'article metadata',
+    up: (db) => {
+      addColumn(db, 'publications', 'abstract', 'TEXT');
+      addColumn(db, 'publications', 'journal_pub_date', 'TEXT');
+      addColumn(db, 'publications', 'epub_date', 'TEXT');
+      addColumn(db, 'publications', 'language', 'TEXT');
+      addColumn(db, 'publications', 'volume', 'TEXT');
+      addColumn(db, 'publications', 'issue', 'TEXT');
+      addColumn(db, 'publications', 'pages', 'TEXT');
+      addColumn(db, 'publications', 'issn', 'TEXT');
+      addColumn(db, 'publications', 'eissn', 'TEXT');
+      addColumn(db, 'publications', 'pmcid', 'TEXT');
+      addColumn(db, 'publications', 'metadata_updated_at', 'TEXT');
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS publication_mesh_headings (
+          pmid TEXT NOT NULL,
+          descriptor TEXT NOT NULL,
+          descriptor_ui TEXT NOT NULL DEFAULT '',
+          qualifiers TEXT NOT NULL DEFAULT '',
+          major_topic INTEGER NOT NULL DEFAULT 0,
+          PRIMARY KEY (pmid, descriptor),
+          FOREIGN KEY (pmid) REFERENCES publications(pmid)
+        );
+        CREATE INDEX IF NOT EXISTS idx_publication_mesh_descriptor
+          ON publication_mesh_headings(descriptor);
+
+        CREATE TABLE IF NOT EXISTS publication_keywords (
+          pmid TEXT NOT NULL,
+          keyword TEXT NOT NULL,
+          owner TEXT NOT NULL DEFAULT '',
+          major_topic INTEGER NOT NULL DEFAULT 0,
+          PRIMARY KEY (pmid, keyword),
+          FOREIGN KEY (pmid) REFERENCES publications(pmid)
+        );
+        CREATE INDEX IF NOT EXISTS idx_publication_keywords_keyword
+          ON publication_keywords(keyword);
+
+        CREATE TABLE IF NOT EXISTS publication_types (
+          pmid TEXT NOT NULL,
+          publication_type TEXT NOT NULL,
+          type_ui TEXT NOT NULL DEFAULT '',
+          PRIMARY KEY (pmid, publication_type),
+          FOREIGN KEY (pmid) REFERENCES publications(pmid)
+        );
+        CREATE INDEX IF NOT EXISTS idx_publication_types_type
+          ON publication_types(publication_type);
+      `);
+    }
+  },
+  {
+    version: 8,
+    name: 'publication authors',
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS publication_authors (
+          pmid TEXT NOT NULL,
+          position INTEGER NOT NULL,
+          last_name TEXT NOT NULL DEFAULT '',
+          fore_name TEXT NOT NULL DEFAULT '',
+          initials TEXT NOT NULL DEFAULT '',
+          suffix TEXT NOT NULL DEFAULT '',
+          collective_name TEXT NOT NULL DEFAULT '',
+          orcid TEXT NOT NULL DEFAULT '',
+          equal_contribution INTEGER NOT NULL DEFAULT 0,
+          PRIMARY KEY (pmid, position),
+          FOREIGN KEY (pmid) REFERENCES publications(pmid)
+        );
+        CREATE INDEX IF NOT EXISTS idx_publication_authors_orcid ON publication_authors(orcid);
+        CREATE INDEX IF NOT EXISTS idx_publication_authors_last_name
+          ON publication_authors(last_name);
+
+        CREATE TABLE IF NOT EXISTS publication_author_affiliations (
+          pmid TEXT NOT NULL,
+          position INTEGER NOT NULL,
+          sequence INTEGER NOT NULL,
+          affiliation TEXT NOT NULL,
+          PRIMARY KEY (pmid, position, sequence),
+          FOREIGN KEY (pmid, position) REFERENCES publication_authors(pmid, position)
+        );
+      `);
+      addColumn(db, 'faculty_publications', 'author_position', 'INTEGER');
+      addColumn(db, 'faculty_publications', 'author_match', 'TEXT');
+    }
+  },
+  {
+    version: 9,
+    name: 'faculty RePORTER search URL',
+    up: (db) => {
+      addColumn(db, 'faculty', 'reporter_url', 'TEXT');
+    }
+  },
+  {
+    version: 10,
+    name: 'publication match scores',
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS match_scores (
+          faculty_id TEXT NOT NULL,
+          pmid TEXT NOT NULL,
+          score REAL NOT NULL,
+          match_type TEXT NOT NULL,
+          affiliation TEXT NOT NULL CHECK (affiliation IN ('hit', 'missing', 'mismatch')),
+          coauthor_overlap INTEGER NOT NULL DEFAULT 0,
+          journal_overlap INTEGER NOT NULL DEFAULT 0,
+          negative_overlap INTEGER NOT NULL DEFAULT 0,
+          explanation TEXT NOT NULL DEFAULT '',
+          scored_at TEXT NOT NULL,
+          PRIMARY KEY (faculty_id, pmid),
+          FOREIGN KEY (faculty_id) REFERENCES faculty(id)
+        );
+      `);
+    }
+  },
+  {
+    version: 11,
+    name: 'pending curation verdict',
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE curation_next (
+          faculty_id TEXT NOT NULL,
+          pmid TEXT NOT NULL,
+          verdict TEXT NOT NULL CHECK (verdict IN ('true_positive', 'false_positive', 'pending')),
+          reason TEXT,
+          updated_at TEXT NOT NULL,
+          PRIMARY KEY (faculty_id, pmid)
+        );
+        INSERT INTO curation_next (faculty_id, pmid, verdict, reason, updated_at)
+          SELECT faculty_id, pmid, verdict, reason, updated_at FROM curation;
+        DROP TABLE curation;
+        ALTER TABLE curation_next RENAME TO curation;
+        CREATE INDEX IF NOT EXISTS idx_curation_verdict ON curation(verdict);
+      `);
+    }
+  },
+  {
+    version: 12,
+    name: 'curation event log',
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS curation_events (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          faculty_id TEXT NOT NULL,
+          pmid TEXT NOT NULL,
+          previous_verdict TEXT,
+          previous_reason TEXT,
+          new_verdict TEXT,
+          reason TEXT,
+          curator TEXT,
+          source TEXT NOT NULL
+            CHECK (source IN ('cli', 'json_seed', 'merge', 'harvest', 'rollback', 'backfill')),
+          batch_id TEXT,
+          created_at TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_curation_events_pair ON curation_events(faculty_id, pmid);
+        CREATE INDEX IF NOT EXISTS idx_curation_events_batch ON curation_events(batch_id);
+        CREATE TRIGGER IF NOT EXISTS curation_events_no_update
+          BEFORE UPDATE ON curation_events
+          BEGIN
+            SELECT RAISE(ABORT, 'curation_events is append-only');
+          END;
+        CREATE TRIGGER IF NOT EXISTS curation_events_no_delete
+          BEFORE DELETE ON curation_events
+          BEGIN
+            SELECT RAISE(ABORT, 'curation_events is append-only');
+          END;
+        INSERT INTO curation_events (faculty_id, pmid, new_verdict, reason, source, created_at)
+          SELECT faculty_id, pmid, verdict, reason, 'backfill', updated_at FROM curation;
+      `);
+    }
+  },
+  {
+    version: 13,
+    name: 'workbench curation source',
+    up: (db) => {
+      db.exec(`
+        DROP TRIGGER IF EXISTS curation_events_no_update;
+        DROP TRIGGER IF EXISTS curation_events_no_delete;
+        CREATE TABLE curation_events_next (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          faculty_id TEXT NOT NULL,
+          pmid TEXT NOT NULL,
+          previous_verdict TEXT,
+          previous_reason TEXT,
+          new_verdict TEXT,
+          reason TEXT,
+          curator TEXT,
+          source TEXT NOT NULL
+            CHECK (source IN ('cli', 'workbench', 'json_seed', 'merge', 'harvest', 'rollback', 'backfill')),
+          batch_id TEXT,
+          created_at TEXT NOT NULL
+        );
+        INSERT INTO curation_events_next SELECT * FROM curation_events;
+        DROP TABLE curation_events;
+        ALTER TABLE curation_events_next RENAME TO curation_events;
+        CREATE INDEX IF NOT EXISTS idx_curation_events_pair ON curation_events(faculty_id, pmid);
+        CREATE INDEX IF NOT EXISTS idx_curation_events_batch ON curation_events(batch_id);
+        CREATE TRIGGER IF NOT EXISTS curation_events_no_update
+          BEFORE UPDATE ON curation_events
+          BEGIN
+            SELECT RAISE(ABORT, 'curation_events is append-only');
+          END;
+        CREATE TRIGGER IF NOT EXISTS curation_events_no_delete
+          BEFORE DELETE ON curation_events
+          BEGIN
+            SELECT RAISE(ABORT, 'curation_events is append-only');
+          END;
+      `);
+    }
+  },
+  {
+    version: 14,
+    name: 'publication grants',
+    up: (db) => {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS publication_grants (
+          pmid TEXT NOT NULL,
+          sequence INTEGER NOT NULL,
+          grant_id TEXT,
+          acronym TEXT,
+          agency TEXT,
+          country TEXT,
+          core_project_num TEXT,
+          PRIMARY KEY (pmid, sequence)
+        );
+        CREATE INDEX IF NOT EXISTS idx_publication_grants_core ON publication_grants(core_project_num);
+        CREATE INDEX IF NOT EXISTS idx_grants_core ON grants(core_project_num);
+        -- Stored articles have no grant list yet; let the next harvest that sees them refetch it.
+        UPDATE publications SET metadata_updated_at = NULL;
+      `);
+    }
+  },
+  {
+    version: 15,
+    name: 'harvest state new pmid count',
+    up: (db) => {
+      db.exec(`
+        -- Incremental harvests only count the PMIDs in their entry-date window, not the total.
+        ALTER TABLE harvest_state RENAME COLUMN last_pmid_count TO last_new_pmid_count;
+      `);
+    }
+  }
+];
+
+export const LATEST_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+export const getSchemaVersion = (db) => db.pragma('user_version', { simple: true });
+
+export const getPendingMigrations = (db) => {
+  const currentVersion = getSchemaVersion(db);
+  return MIGRATIONS.filter((migration) => migration.version > currentVersion);
+};
+
+export const runMigrations = (db) => {
+  const currentVersion = getSchemaVersion(db);
+  if (currentVersion > LATEST_SCHEMA_VERSION) {
+    throw new Error(
+      `Database schema version ${currentVersion} is newer than this checkout supports (${LATEST_SCHEMA_VERSION}).`
+    );
+  }
+  const applied = [];
+  getPendingMigrations(db).forEach((migration) => {
+    db.transaction(() => {
+      migration.up(db);
+      db.pragma(`user_version = ${migration.version}`);
+    })();
+    applied.push(migration);
+  });
+  return applied;
+};
@@ -0,0 +1,219 @@
+import { existsSync } from 'node:fs';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { toSlug } from './db.mjs';
+
+export const OVERRIDES_PATH = path.resolve('data', 'faculty-identity-overrides.json');
+
+const ORCID_PATTERN = /^\d{4}-\d{4}-\d{4}-\d{3}[\dX]$/i;
+const MATCH_FIELDS = ['email', 'orcid', 'name'];
+const TOP_LEVEL_KEYS = [
+  'updated',
+  'source',
+  'aliases',
+  'splits',
+  'nameVariants',
+  'orcidCorrections',
+  'pinned'
+];
+
+const normalizeIdentity = (value) => String(value || '').trim().toLowerCase();
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+const validateMatch = (match, where, errors) => {
+  if (!match || typeof match !== 'object' || Array.isArray(match)) {
+    errors.push(`${where}.match must be an object`);
+    return;
+  }
+  const keys = Object.keys(match);
+  const unknown = keys.filter((key) => !MATCH_FIELDS.includes(key));
+  if (unknown.length) {
+    errors.push(`${where}.match has unknown field(s): ${unknown.join(', ')}`);
+  }
+  if (!MATCH_FIELDS.some((field) => isNonEmptyString(match[field]))) {
+    errors.push(`${where}.match needs at least one of ${MATCH_FIELDS.join(', ')}`);
+  }
+  if (match.orcid !== undefined && !ORCID_PATTERN.test(String(match.orcid).trim())) {
+    errors.push(`${where}.match.orcid is not a valid ORCID: ${match.orcid}`);
+  }
+};
+
+const validateList = (data, key, errors, validateEntry) => {
+  if (data[key] === undefined) {
+    return;
+  }
+  if (!Array.isArray(data[key])) {
+    errors.push(`${key} must be an array`);
+    return;
+  }
+  data[key].forEach((entry, index) => {
+    const where = `${key}[${index}]`;
+    if (key === 'pinned' && typeof entry === 'string') {
+      validateEntry(entry, where);
+      return;
+    }
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      errors.push(`${where} must be an object`);
+      return;
+    }
+    validateEntry(entry, where);
+  });
+};
+
+export const validateOverrides = (data) => {
+  const errors = [];
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return ['overrides file must contain a JSON object'];
+  }
+  const unknown = Object.keys(data).filter((key) => !TOP_LEVEL_KEYS.includes(key));
+  if (unknown.length) {
+    errors.push(`unknown top-level key(s): ${unknown.join(', ')}`);
+  }
+
+  validateList(data, 'aliases', errors, (entry, where) => {
+    validateMatch(entry.match, where, errors);
+    if (!isNonEmptyString(entry.canonicalId)) {
+      errors.push(`${where}.canonicalId must be a non-empty string`);
+    }
+  });
+
+  validateList(data, 'splits', errors, (entry, where) => {
+    validateMatch(entry.match, where, errors);
+    if (!isNonEmptyString(entry.canonicalId)) {
+      errors.push(`${where}.canonicalId must be a non-empty string`);
+    }
+  });
+
+  validateList(data, 'nameVariants', errors, (entry, where) => {
+    if (!isNonEmptyString(entry.facultyId)) {
+      errors.push(`${where}.facultyId must be a non-empty string`);
+    }
+    if (!Array.isArray(entry.variants) || !entry.variants.length) {
+      errors.push(`${where}.variants must be a non-empty array`);
+      return;
+    }
+    entry.variants.forEach((variant, variantIndex) => {
+      if (!isNonEmptyString(variant?.lastName)) {
+        errors.push(`${where}.variants[${variantIndex}].lastName must be a non-empty string`);
+      }
+      if (variant?.foreName !== undefined && typeof variant.foreName !== 'string') {
+        errors.push(`${where}.variants[${variantIndex}].foreName must be a string`);
+      }
+    });
+  });
+
+  validateList(data, 'orcidCorrections', errors, (entry, where) => {
+    if (!ORCID_PATTERN.test(String(entry.to || '').trim())) {
+      errors.push(`${where}.to must be a valid ORCID`);
+    }
+    if (entry.from !== undefined && !isNonEmptyString(entry.from)) {
+      errors.push(`${where}.from must be a non-empty string when present`);
+    }
+    if (!isNonEmptyString(entry.from) && !entry.match && !isNonEmptyString(entry.facultyId)) {
+      errors.push(`${where} needs from, match or facultyId to select rows`);
+    }
+    if (entry.match !== undefined) {
+      validateMatch(entry.match, where, errors);
+    }
+  });
+
+  validateList(data, 'pinned', errors, (entry, where) => {
+    const id = typeof entry === 'string' ? entry : entry.id;
+    if (!isNonEmptyString(id)) {
+      errors.push(`${where} must be an ID string or an object with a non-empty id`);
+    }
+  });
+
+  return errors;
+};
+
+export const readIdentityOverrides = async (filePath = OVERRIDES_PATH) => {
+  const empty = { aliases: [], splits: [], nameVariants: [], orcidCorrections: [], pinned: [] };
+  if (!existsSync(filePath)) {
+    return empty;
+  }
+  const data = JSON.parse(await readFile(filePath, 'utf8'));
+  const errors = validateOverrides(data);
+  if (errors.length) {
+    throw new Error(
+      `Invalid identity overrides in ${filePath}:\n${errors.map((error) => `  - ${error}`).join('\n')}`
+    );
+  }
+  return {
+    aliases: data.aliases || [],
+    splits: data.splits || [],
+    nameVariants: (data.nameVariants || []).map((entry) => ({
+      ...entry,
+      facultyId: toSlug(entry.facultyId)
+    })),
+    orcidCorrections: data.orcidCorrections || [],
+    pinned: (data.pinned || [])
+      .map((entry) => toSlug(typeof entry === 'string' ? entry : entry.id))
+      .filter(Boolean)
+  };
+};
+
+const matchFieldsFor = (person, match) =>
+  MATCH_FIELDS.filter((field) => isNonEmptyString(match?.[field])).map((field) => ({
+    field,
+    matches: normalizeIdentity(match[field]) === normalizeIdentity(person[field])
+  }));
+
+const matchesAll = (person, match) => {
+  const fields = matchFieldsFor(person, match);
+  return fields.length > 0 && fields.every((entry) => entry.matches);
+};
+
+export const applyOrcidCorrections = (person, overrides) => {
+  const corrections = overrides.orcidCorrections || [];
+  for (let index = 0; index < corrections.length; index += 1) {
+    const correction = corrections[index];
+    const from = normalizeIdentity(correction.from);
+    if (from && from !== normalizeIdentity(person.orcid)) {
+      continue;
+    }
+    if (correction.match && !matchesAll(person, correction.match)) {
+      continue;
+    }
+    if (correction.facultyId && toSlug(correction.facultyId) !== person.legacySlug) {
+      continue;
+    }
+    return {
+      person: { ...person, orcid: String(correction.to).trim().toUpperCase() },
+      rule: `orcidCorrections[${index}]`,
+      previousOrcid: person.orcid || ''
+    };
+  }
+  return { person, rule: '', previousOrcid: '' };
+};
+
+export const resolveOverrideCanonicalId = (person, overrides) => {
+  const splits = overrides.splits || [];
+  for (let index = 0; index < splits.length; index += 1) {
+    const split = splits[index];
+    if (matchesAll(person, split.match)) {
+      const fields = matchFieldsFor(person, split.match).map((entry) => entry.field);
+      return {
+        canonicalId: toSlug(split.canonicalId),
+        rule: `splits[${index}] (${fields.join('+')})`,
+        split: true
+      };
+    }
+  }
+
+  const aliases = overrides.aliases || [];
+  for (let index = 0; index < aliases.length; index += 1) {
+    const alias = aliases[index];
+    const matched = matchFieldsFor(person, alias.match).find((entry) => entry.matches);
+    if (matched) {
+      return {
+        canonicalId: toSlug(alias.canonicalId),
+        rule: `aliases[${index}] (${matched.field})`,
+        split: false
+      };
+    }
+  }
+
+  return { canonicalId: '', rule: '', split: false };
+};
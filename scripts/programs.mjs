@@ -0,0 +1,98 @@
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export const formatIsoDate = (date) => {
+  if (!(date instanceof Date) || Number.isNaN(date.getTime())) {
+    return '';
+  }
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+};
+
+export const parseIsoDate = (value) => {
+  const raw = String(value || '').trim();
+  if (!ISO_DATE_PATTERN.test(raw)) {
+    return null;
+  }
+  const [year, month, day] = raw.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+export const getProgramAssociations = (db, facultyId) =>
+  db
+    .prepare(
+      `
+      SELECT program, start_date AS startDate, end_date AS endDate
+      FROM faculty_programs
+      WHERE faculty_id = ?
+      ORDER BY program ASC, start_date ASC
+    `
+    )
+    .all(facultyId)
+    .map((row) => ({
+      program: row.program,
+      startDate: row.startDate || '',
+      endDate: row.endDate || ''
+    }));
+
+const toDateBounds = (value) => {
+  if (value instanceof Date) {
+    const iso = formatIsoDate(value);
+    return iso ? [iso, iso] : null;
+  }
+  const raw = String(value ?? '').trim();
+  if (ISO_DATE_PATTERN.test(raw)) {
+    return [raw, raw];
+  }
+  const year = raw.match(/^\d{4}/)?.[0];
+  return year ? [`${year}-01-01`, `${year}-12-31`] : null;
+};
+
+export const resolveProgramPhases = (value, associations = []) => {
+  const bounds = toDateBounds(value);
+  if (!bounds) {
+    return [];
+  }
+  const [low, high] = bounds;
+  return associations
+    .filter((association) => association?.program && association.startDate)
+    .map((association) => {
+      let phase = 'during';
+      if (high < association.startDate) {
+        phase = 'before';
+      } else if (association.endDate && low > association.endDate) {
+        phase = 'after';
+      }
+      return { program: association.program, phase };
+    });
+};
+
+export const isDuringAnyProgram = (value, associations = []) =>
+  resolveProgramPhases(value, associations).some((entry) => entry.phase === 'during');
+
+export const buildProgramWindows = (associations = [], { end = null } = {}) => {
+  const windows = associations
+    .map((association) => ({
+      start: parseIsoDate(association.startDate),
+      end: parseIsoDate(association.endDate) || end
+    }))
+    .filter((window) => window.start && (!end || window.start <= end))
+    .map((window) => ({
+      start: window.start,
+      end: end && window.end > end ? end : window.end
+    }))
+    .sort((a, b) => a.start - b.start);
+
+  return windows.reduce((merged, window) => {
+    const previous = merged[merged.length - 1];
+    if (previous && (!previous.end || window.start <= previous.end)) {
+      if (previous.end && (!window.end || window.end > previous.end)) {
+        previous.end = window.end;
+      }
+      return merged;
+    }
+    merged.push({ ...window });
+    return merged;
+  }, []);
+};
@@ -1,8 +1,17 @@
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
 const ESEARCH_URL = 'https://eutils.ncbi.nlm.nih.gov/entrez/eutils/esearch.fcgi';
 const ESUMMARY_URL = 'https://eutils.ncbi.nlm.nih.gov/entrez/eutils/esummary.fcgi';
 const EFETCH_URL = 'https://eutils.ncbi.nlm.nih.gov/entrez/eutils/efetch.fcgi';
 
 const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+const CACHE_MODES = new Set(['readwrite', 'refresh', 'offline', 'off']);
+const UNCACHED_PARAMS = new Set(['tool', 'email', 'api_key']);
+const HOUR_MS = 60 * 60 * 1000;
+
+const cacheStats = { hits: 0, misses: 0, stale: 0, writes: 0 };
 
 const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
@@ -17,7 +26,77 @@ const buildQueryString = (params) => {
   return query.toString();
 };
 
-export async function ncbiGetJson(url, params, { maxRetries = 8 } = {}) {
+const parseTtlHours = (value, fallback) => {
+  const parsed = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(parsed) ? parsed : fallback;
+};
+
+export const getNcbiCacheMode = () => {
+  const mode = String(process.env.NCBI_CACHE || 'readwrite').trim().toLowerCase();
+  if (!CACHE_MODES.has(mode)) {
+    throw new Error(`NCBI_CACHE must be one of ${[...CACHE_MODES].join(', ')} (got "${mode}")`);
+  }
+  return mode;
+};
+
+export const isNcbiOffline = () => getNcbiCacheMode() === 'offline';
+
+export const getNcbiCacheStats = () => ({ ...cacheStats });
+
+const getCacheDir = () => path.resolve(process.env.NCBI_CACHE_DIR || path.join('data', 'ncbi-cache'));
+
+const getEndpointName = (url) => path.basename(new URL(url).pathname, '.fcgi');
+
+const getCacheTtlMs = (endpoint) =>
+  endpoint === 'esearch'
+    ? parseTtlHours(process.env.NCBI_CACHE_SEARCH_TTL_HOURS, 24) * HOUR_MS
+    : parseTtlHours(process.env.NCBI_CACHE_RECORD_TTL_HOURS, 24 * 30) * HOUR_MS;
+
+const normalizeCacheParams = (params) =>
+  Object.keys(params)
+    .filter((key) => !UNCACHED_PARAMS.has(key))
+    .map((key) => [key, params[key] === undefined || params[key] === null ? '' : params[key]])
+    .map(([key, value]) => [key, String(value).trim().replace(/\s+/g, ' ')])
+    .filter(([, value]) => value !== '')
+    .sort(([a], [b]) => a.localeCompare(b));
+
+const getCacheEntry = (url, params) => {
+  const endpoint = getEndpointName(url);
+  const normalizedParams = normalizeCacheParams(params);
+  const key = createHash('sha256')
+    .update(JSON.stringify([url, normalizedParams]))
+    .digest('hex');
+  return {
+    endpoint,
+    key,
+    params: Object.fromEntries(normalizedParams),
+    filePath: path.join(getCacheDir(), endpoint, key.slice(0, 2), `${key}.json`)
+  };
+};
+
+const readCacheEntry = async (entry) => {
+  try {
+    return JSON.parse(await readFile(entry.filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw new Error(`Unreadable NCBI cache entry ${entry.filePath}: ${error.message}`);
+  }
+};
+
+const writeCacheEntry = async (entry, url, body) => {
+  await mkdir(path.dirname(entry.filePath), { recursive: true });
+  const tempPath = `${entry.filePath}.${process.pid}.tmp`;
+  await writeFile(
+    tempPath,
+    JSON.stringify({ url, params: entry.params, fetchedAt: new Date().toISOString(), body })
+  );
+  await rename(tempPath, entry.filePath);
+  cacheStats.writes += 1;
+};
+
+const requestNcbi = async (url, params, maxRetries) => {
   const queryString = buildQueryString(params);
   const requestUrl = `${url}?${queryString}`;
 
@@ -30,7 +109,7 @@ export async function ncbiGetJson(url, params, { maxRetries = 8 } = {}) {
       clearTimeout(timeout);
 
       if (response.ok) {
-        return response.json();
+        return response.text();
       }
 
       if (RETRYABLE_STATUSES.has(response.status)) {
@@ -55,61 +134,154 @@ export async function ncbiGetJson(url, params, { maxRetries = 8 } = {}) {
   }
 
   throw new Error('NCBI request failed after retries');
+};
+
+const cachedNcbiRequest = async (url, params, { maxRetries, decode, cacheAs, refresh }) => {
+  const mode = getNcbiCacheMode();
+  if (mode === 'off') {
+    return decode(await requestNcbi(url, params, maxRetries));
+  }
+
+  const entry = cacheAs ? getCacheEntry(cacheAs.url, cacheAs.params) : getCacheEntry(url, params);
+  if (mode !== 'refresh' && !refresh) {
+    const cached = await readCacheEntry(entry);
+    const age = cached ? Date.now() - Date.parse(cached.fetchedAt) : Infinity;
+    if (cached && (mode === 'offline' || age <= getCacheTtlMs(entry.endpoint))) {
+      cacheStats.hits += 1;
+      return decode(cached.body);
+    }
+    if (cached) {
+      cacheStats.stale += 1;
+    }
+  }
+
+  if (mode === 'offline') {
+    throw new Error(
+      `NCBI offline mode: no cached ${entry.endpoint} response for ${JSON.stringify(entry.params)}`
+    );
+  }
+
+  cacheStats.misses += 1;
+  const body = await requestNcbi(url, params, maxRetries);
+  const decoded = decode(body);
+  await writeCacheEntry(entry, url, body);
+  return decoded;
+};
+
+export async function ncbiGetJson(url, params, { maxRetries = 8, cacheAs, refresh = false } = {}) {
+  return cachedNcbiRequest(url, params, { maxRetries, decode: JSON.parse, cacheAs, refresh });
 }
 
-export async function ncbiGetText(url, params, { maxRetries = 8 } = {}) {
-  const queryString = buildQueryString(params);
-  const requestUrl = `${url}?${queryString}`;
+export async function ncbiGetText(url, params, { maxRetries = 8, cacheAs, refresh = false } = {}) {
+  return cachedNcbiRequest(url, params, { maxRetries, decode: (body) => body, cacheAs, refresh });
+}
 
-  for (let attempt = 0; attempt < maxRetries; attempt += 1) {
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 30_000);
+const parseUidList = (body) => {
+  const lines = String(body)
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+  const invalid = lines.find((line) => !/^\d+$/.test(line));
+  if (invalid) {
+    throw new Error(`Unexpected esearch history page: ${invalid.slice(0, 200)}`);
+  }
+  return lines;
+};
 
-    try {
-      const response = await fetch(requestUrl, { method: 'GET', signal: controller.signal });
-      clearTimeout(timeout);
+// PubMed will not page an esearch past 10,000 records, history server or not.
+export const PUBMED_SEARCH_LIMIT = 10_000;
 
-      if (response.ok) {
-        return response.text();
-      }
+class ExpiredSearchError extends Error {}
 
-      if (RETRYABLE_STATUSES.has(response.status)) {
-        const baseDelay = 800 * 2 ** attempt;
-        const jitter = 1 + Math.random() * 0.25;
-        await sleep(baseDelay * jitter);
-        continue;
-      }
+const runSearch = async (term, email, tool, apiKey, pageSize, refresh) => {
+  // Same pacing as the harvesters: NCBI allows 3 requests/second, or 10 with an API key.
+  const pageDelayMs = apiKey ? 110 : 350;
+  const hitsBeforeSearch = cacheStats.hits;
+  let missesBeforeRequest = cacheStats.misses;
+  const data = await ncbiGetJson(
+    ESEARCH_URL,
+    {
+      db: 'pubmed',
+      term,
+      retmode: 'json',
+      retmax: pageSize,
+      usehistory: 'y',
+      tool,
+      email,
+      api_key: apiKey
+    },
+    { refresh }
+  );
+  const result = data.esearchresult;
+  if (!result) {
+    throw new Error(`esearch returned no result for ${term}`);
+  }
+  if (result.ERROR || result.error) {
+    throw new Error(`esearch failed for ${term}: ${result.ERROR || result.error}`);
+  }
 
-      const errorBody = await response.text();
-      throw new Error(`NCBI request failed (${response.status}): ${errorBody}`);
+  const count = Number.parseInt(result.count, 10) || 0;
+  const pmids = [...(result.idlist ?? [])];
+  const reachable = Math.min(count, PUBMED_SEARCH_LIMIT);
+  const searchWasCached = cacheStats.hits > hitsBeforeSearch;
+  for (let retstart = pmids.length; retstart < reachable; retstart += pageSize) {
+    if (cacheStats.misses > missesBeforeRequest) {
+      await sleep(pageDelayMs);
+    }
+    missesBeforeRequest = cacheStats.misses;
+    // The WebEnv changes on every search, so pages are cached under the term instead.
+    const page = await ncbiGetText(
+      EFETCH_URL,
+      {
+        db: 'pubmed',
+        query_key: result.querykey,
+        WebEnv: result.webenv,
+        rettype: 'uilist',
+        retmode: 'text',
+        retstart,
+        retmax: pageSize,
+        tool,
+        email,
+        api_key: apiKey
+      },
+      {
+        cacheAs: { url: ESEARCH_URL, params: { db: 'pubmed', term, retstart, retmax: pageSize } },
+        refresh
+      }
+    );
+    let ids;
+    try {
+      ids = parseUidList(page);
     } catch (error) {
-      clearTimeout(timeout);
-      if (attempt < maxRetries - 1) {
-        const baseDelay = 800 * 2 ** attempt;
-        const jitter = 1 + Math.random() * 0.25;
-        await sleep(baseDelay * jitter);
-        continue;
+      throw searchWasCached ? new ExpiredSearchError(error.message) : error;
+    }
+    if (!ids.length) {
+      if (searchWasCached) {
+        throw new ExpiredSearchError(`esearch history page ${retstart} came back empty for ${term}`);
       }
-      throw error;
+      break;
     }
+    pmids.push(...ids);
   }
 
-  throw new Error('NCBI request failed after retries');
+  return { count, pmids: Array.from(new Set(pmids)) };
+};
+
+export async function searchPubmed(term, email, tool, apiKey, { pageSize = 500 } = {}) {
+  try {
+    return await runSearch(term, email, tool, apiKey, pageSize, false);
+  } catch (error) {
+    if (!(error instanceof ExpiredSearchError) || getNcbiCacheMode() !== 'readwrite') {
+      throw error;
+    }
+    // A cached first page can outlive its WebEnv on the history server; search again.
+    return runSearch(term, email, tool, apiKey, pageSize, true);
+  }
 }
 
 export async function fetchPmids(term, email, tool, apiKey) {
-  const params = {
-    db: 'pubmed',
-    term,
-    retmode: 'json',
-    retmax: 500,
-    tool,
-    email,
-    api_key: apiKey
-  };
-
-  const data = await ncbiGetJson(ESEARCH_URL, params);
-  return data.esearchresult?.idlist ?? [];
+  const { pmids } = await searchPubmed(term, email, tool, apiKey);
+  return pmids;
 }
 
 export async function fetchSummaries(pmids, email, tool, apiKey) {
@@ -0,0 +1,292 @@
+import { existsSync } from 'node:fs';
+import path from 'node:path';
+import { toSlug } from './db.mjs';
+import { applyOrcidCorrections, readIdentityOverrides } from './overrides.mjs';
+import {
+  PROGRAMS,
+  ROSTERS,
+  normalizeOrcid,
+  parseRosterDate,
+  readRosterRecords
+} from './rosters.mjs';
+
+const ORCID_PATTERN = /^\d{4}-\d{4}-\d{4}-\d{3}[\dX]$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+export const isValidOrcidChecksum = (orcid) => {
+  const digits = orcid.replace(/-/g, '');
+  let total = 0;
+  for (const digit of digits.slice(0, -1)) {
+    total = (total + Number(digit)) * 2;
+  }
+  const remainder = total % 11;
+  const result = (12 - remainder) % 11;
+  const expected = result === 10 ? 'X' : String(result);
+  return digits.slice(-1).toUpperCase() === expected;
+};
+
+const hasContent = (record, roster) =>
+  Object.keys(roster.columns).some((field) => String(record[field] || '').trim());
+
+const describeLocation = (roster, record) => {
+  const file = path.relative(process.cwd(), roster.path);
+  return record.sheet ? `${file} [${record.sheet}]` : file;
+};
+
+const createIssue = (roster, record, field, severity, message) => ({
+  severity,
+  roster: roster.id,
+  file: describeLocation(roster, record),
+  row: record.rowNumber,
+  column: field ? roster.columns[field] || field : '',
+  message
+});
+
+const checkOrcid = (roster, record, issues) => {
+  const raw = String(record.orcid || '').trim();
+  const orcid = normalizeOrcid(raw);
+  if (!orcid) {
+    return;
+  }
+  if (!ORCID_PATTERN.test(orcid)) {
+    issues.push(createIssue(roster, record, 'orcid', 'error', `"${raw}" is not an ORCID iD`));
+    return;
+  }
+  if (!isValidOrcidChecksum(orcid)) {
+    issues.push(
+      createIssue(roster, record, 'orcid', 'error', `"${raw}" fails the ORCID checksum`)
+    );
+  }
+};
+
+const checkEmail = (roster, record, issues) => {
+  const email = String(record.email || '').trim();
+  if (email && !EMAIL_PATTERN.test(email)) {
+    issues.push(createIssue(roster, record, 'email', 'error', `"${email}" is not an email address`));
+  }
+};
+
+const checkDates = (roster, record, issues) => {
+  const startDate = parseRosterDate(record.startDate);
+  const endDate = parseRosterDate(record.endDate);
+  if (record.startDate && !startDate) {
+    issues.push(
+      createIssue(roster, record, 'startDate', 'error', `cannot read date "${record.startDate}"`)
+    );
+  }
+  if (!record.startDate) {
+    issues.push(
+      createIssue(roster, record, 'startDate', 'warning', 'no start date; program window is open-ended')
+    );
+  }
+  if (record.endDate && !endDate) {
+    issues.push(
+      createIssue(roster, record, 'endDate', 'error', `cannot read date "${record.endDate}"`)
+    );
+  }
+  if (startDate && endDate && endDate < startDate) {
+    issues.push(
+      createIssue(
+        roster,
+        record,
+        'endDate',
+        'error',
+        `end date "${record.endDate}" is before start date "${record.startDate}"`
+      )
+    );
+  }
+};
+
+const checkProgram = (roster, record, issues) => {
+  const program = String(record.program || record.defaultProgram || '').trim();
+  if (!program) {
+    issues.push(createIssue(roster, record, 'program', 'warning', 'no program and no roster default'));
+    return;
+  }
+  if (!PROGRAMS.includes(program)) {
+    issues.push(
+      createIssue(
+        roster,
+        record,
+        'program',
+        'error',
+        `unknown program "${program}" (add it to PROGRAMS in scripts/rosters.mjs if it is new)`
+      )
+    );
+  }
+};
+
+const nameTokens = (value) =>
+  normalize(value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^a-z]+/)
+    .filter(Boolean);
+
+const describeRow = (entry) => `${entry.file} row ${entry.row}`;
+
+const checkDuplicateIdentities = (entries, issues) => {
+  const groupBy = (keyOf) => {
+    const groups = new Map();
+    entries.forEach((entry) => {
+      const key = keyOf(entry);
+      if (!key) {
+        return;
+      }
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(entry);
+    });
+    return groups;
+  };
+
+  const report = (groups, field, valueOf, describeConflict, conflicts = (a, b) => a !== b) => {
+    groups.forEach((group, key) => {
+      const [first, ...rest] = group;
+      rest
+        .filter(
+          (entry) => valueOf(entry) && valueOf(first) && conflicts(valueOf(entry), valueOf(first))
+        )
+        .forEach((entry) => {
+          issues.push(
+            createIssue(
+              entry.roster,
+              entry.record,
+              field,
+              'error',
+              `${describeConflict(key)} ${valueOf(entry)} here but ${valueOf(first)} on ${describeRow(first)}`
+            )
+          );
+        });
+    });
+  };
+
+  report(
+    groupBy((entry) =>
+      entry.record.personId ? `${entry.roster.id}:${normalize(entry.record.personId)}` : ''
+    ),
+    'personId',
+    (entry) => entry.email || entry.name,
+    (key) => `person_id "${key.split(':').slice(1).join(':')}" belongs to`
+  );
+  report(
+    groupBy((entry) => entry.orcid),
+    'orcid',
+    (entry) => entry.lastName,
+    (key) => `ORCID ${key.toUpperCase()} is used by last name`,
+    (a, b) => {
+      const tokens = new Set(nameTokens(a));
+      return !nameTokens(b).some((token) => tokens.has(token));
+    }
+  );
+  report(
+    groupBy((entry) => entry.email),
+    'email',
+    (entry) => entry.orcid,
+    (key) => `email ${key} has ORCID`
+  );
+
+  groupBy((entry) =>
+    [
+      entry.file,
+      entry.email || entry.name,
+      entry.program,
+      normalize(entry.record.startDate)
+    ].join('|')
+  ).forEach((group) => {
+    group.slice(1).forEach((entry) => {
+      issues.push(
+        createIssue(
+          entry.roster,
+          entry.record,
+          '',
+          'warning',
+          `repeats row ${group[0].row} (same person, program and start date)`
+        )
+      );
+    });
+  });
+};
+
+export const validateRosters = async (rosters = ROSTERS) => {
+  const issues = [];
+  const entries = [];
+  const overrides = await readIdentityOverrides();
+  let rowCount = 0;
+
+  for (const roster of rosters) {
+    if (!existsSync(roster.path)) {
+      issues.push({
+        severity: 'warning',
+        roster: roster.id,
+        file: path.relative(process.cwd(), roster.path),
+        row: null,
+        column: '',
+        message: 'roster file not found; ingest skips it and will not deactivate anyone'
+      });
+      continue;
+    }
+    const records = (await readRosterRecords(roster)).filter((record) => hasContent(record, roster));
+    rowCount += records.length;
+    records.forEach((record) => {
+      if (!record.foreName || !record.lastName) {
+        issues.push(
+          createIssue(
+            roster,
+            record,
+            record.foreName ? 'lastName' : 'foreName',
+            'warning',
+            'missing name; ingest skips this row'
+          )
+        );
+        return;
+      }
+      checkOrcid(roster, record, issues);
+      checkEmail(roster, record, issues);
+      checkDates(roster, record, issues);
+      checkProgram(roster, record, issues);
+
+      const orcid = normalizeOrcid(record.orcid);
+      const { person } = applyOrcidCorrections(
+        {
+          orcid,
+          email: record.email,
+          name: `${record.foreName} ${record.lastName}`.trim(),
+          legacySlug: toSlug(
+            record.personId || `${record.foreName}-${record.lastName}-${record.email}`
+          )
+        },
+        overrides
+      );
+      entries.push({
+        roster,
+        record,
+        file: describeLocation(roster, record),
+        row: record.rowNumber,
+        name: normalize(`${record.foreName} ${record.lastName}`),
+        lastName: normalize(record.lastName),
+        email: normalize(record.email),
+        orcid: normalize(person.orcid),
+        program: String(record.program || record.defaultProgram || '').trim()
+      });
+    });
+  }
+
+  checkDuplicateIdentities(entries, issues);
+
+  return {
+    rowCount,
+    issues,
+    errors: issues.filter((issue) => issue.severity === 'error'),
+    warnings: issues.filter((issue) => issue.severity === 'warning')
+  };
+};
+
+export const formatRosterIssue = (issue) => {
+  const where = issue.row ? `${issue.file}:${issue.row}` : issue.file;
+  const column = issue.column ? ` [${issue.column}]` : '';
+  return `${issue.severity.toUpperCase()} ${where}${column}: ${issue.message}`;
+};
@@ -0,0 +1,252 @@
+import { existsSync } from 'node:fs';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { readXlsxSheets } from './xlsx.mjs';
+
+export const PROGRAMS = [
+  'K-R01',
+  'K12 Career Development Program',
+  'KAP',
+  'KAP (formerly PreK)',
+  'KL2 Career Development Program',
+  'KL2/K12'
+];
+
+export const ROSTERS = [
+  {
+    id: 'ctsi-faculty',
+    path: path.resolve('data', 'CTSI Faculty - Sheet1.csv'),
+    source: 'roster:ctsi-faculty',
+    defaultProgram: '',
+    columns: {
+      personId: 'person_id',
+      foreName: 'fore_name',
+      lastName: 'last_name',
+      email: 'email',
+      orcid: 'orcid',
+      signatureTerms: 'signature_terms',
+      program: 'program',
+      startDate: 'start date',
+      department: 'department',
+      college: 'college',
+      rank: 'rank'
+    }
+  },
+  {
+    id: 'ctsi-ed-scholars',
+    path: path.resolve('data', 'CTSI-Ed UMN Faculty Scholars - Need to enter in pub tracking.csv'),
+    source: 'roster:ctsi-ed-scholars',
+    defaultProgram: '',
+    columns: {
+      foreName: 'First Name',
+      lastName: 'Last Name',
+      email: 'Email',
+      orcid: 'Orcid Id',
+      signatureTerms: 'signature_terms',
+      program: 'Program',
+      startDate: 'Funding Start Date',
+      endDate: 'Funding End Date',
+      department: 'Department',
+      college: 'College',
+      rank: 'Rank'
+    }
+  },
+  {
+    id: 'k12-scholars',
+    path: path.resolve('data', 'K12 AND ECRA Scholars.xlsx - K12 Scholars.csv'),
+    source: 'roster:k12-scholars',
+    defaultProgram: 'KL2 Career Development Program',
+    columns: {
+      personId: 'person_id',
+      foreName: 'First Name',
+      lastName: 'Last Name',
+      email: 'Email',
+      orcid: 'orcid',
+      signatureTerms: 'signature_terms',
+      program: 'Program',
+      startDate: 'Start Date',
+      department: 'Department',
+      college: 'College',
+      rank: 'Rank'
+    }
+  }
+];
+
+export const FACULTY_DIRECTORY = {
+  id: 'faculty-directory',
+  // Read on access: importers load .env.local only after their imports have run.
+  get path() {
+    return process.env.FACULTY_DIRECTORY_PATH
+      ? path.resolve(process.env.FACULTY_DIRECTORY_PATH)
+      : path.resolve('data', 'faculty-directory.csv');
+  },
+  columns: {
+    personId: 'person_id',
+    email: 'email',
+    orcid: 'orcid',
+    department: 'department',
+    college: 'college',
+    rank: 'rank'
+  }
+};
+
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    const nextChar = text[i + 1];
+    if (char === '"') {
+      if (inQuotes && nextChar === '"') {
+        field += '"';
+        i += 1;
+      } else {
+        inQuotes = !inQuotes;
+      }
+      continue;
+    }
+    if (char === ',' && !inQuotes) {
+      row.push(field);
+      field = '';
+      continue;
+    }
+    if ((char === '\n' || char === '\r') && !inQuotes) {
+      if (char === '\r' && nextChar === '\n') {
+        i += 1;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+      continue;
+    }
+    field += char;
+  }
+
+  if (field.length > 0 || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+};
+
+export const normalizeHeader = (value) =>
+  String(value || '')
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, '_');
+
+const EXCEL_EPOCH_UTC = Date.UTC(1899, 11, 30);
+// Serials below this (1954-10-03) are far more likely to be a bare year or an ID than a date.
+const MIN_EXCEL_DATE_SERIAL = 20000;
+
+const toCalendarDate = (year, month, day) => {
+  if (!month || !day || !year || year < 1900) {
+    return null;
+  }
+  const date = new Date(year, month - 1, day);
+  if (Number.isNaN(date.getTime()) || date.getMonth() !== month - 1 || date.getDate() !== day) {
+    return null;
+  }
+  return date;
+};
+
+// Rosters list ORCIDs bare or as profile URLs, and "none" when the person has no iD.
+export const normalizeOrcid = (value) => {
+  const raw = String(value || '').trim();
+  if (/^none$/i.test(raw)) {
+    return '';
+  }
+  return raw.replace(/^https?:\/\/(www\.)?orcid\.org\//i, '').toUpperCase();
+};
+
+export const parseRosterDate = (value) => {
+  const raw = String(value || '').trim();
+  if (!raw) {
+    return null;
+  }
+  if (/^\d{5}(\.\d+)?$/.test(raw) && Number(raw) >= MIN_EXCEL_DATE_SERIAL) {
+    const serialDate = new Date(EXCEL_EPOCH_UTC + Math.floor(Number(raw)) * 86_400_000);
+    return new Date(
+      serialDate.getUTCFullYear(),
+      serialDate.getUTCMonth(),
+      serialDate.getUTCDate()
+    );
+  }
+  if (/^\d{4}-\d{2}-\d{2}/.test(raw)) {
+    const [year, month, day] = raw.slice(0, 10).split('-').map(Number);
+    return toCalendarDate(year, month, day);
+  }
+  const parts = raw.split('/');
+  if (parts.length !== 3) {
+    return null;
+  }
+  const [month, day, year] = parts.map((part) => Number(part));
+  return toCalendarDate(year, month, day);
+};
+
+const mapRosterRows = (rows, columns, extra = {}) => {
+  const [headerRow = [], ...body] = rows;
+  const headerIndex = new Map(headerRow.map((header, index) => [normalizeHeader(header), index]));
+  const fields = Object.entries(columns || {}).map(([field, header]) => [
+    field,
+    headerIndex.has(normalizeHeader(header)) ? headerIndex.get(normalizeHeader(header)) : -1
+  ]);
+
+  return body.map((row, index) => ({
+    ...fields.reduce((acc, [field, columnIndex]) => {
+      acc[field] = columnIndex >= 0 ? String(row[columnIndex] ?? '').trim() : '';
+      return acc;
+    }, {}),
+    ...extra,
+    rowNumber: index + 2
+  }));
+};
+
+const isWorkbook = (filePath) => /\.xlsx$/i.test(filePath);
+
+export const readRosterRecords = async (roster) => {
+  if (!isWorkbook(roster.path)) {
+    const text = await readFile(roster.path, 'utf8');
+    return mapRosterRows(parseCsv(text), roster.columns, {
+      defaultProgram: roster.defaultProgram || ''
+    });
+  }
+
+  const sheets = await readXlsxSheets(roster.path);
+  const sheetPrograms = roster.sheets
+    ? Object.entries(roster.sheets)
+    : Array.from(sheets.keys()).map((name) => [name, roster.defaultProgram || '']);
+
+  return sheetPrograms.flatMap(([sheetName, program]) => {
+    if (!sheets.has(sheetName)) {
+      console.warn(`Roster ${roster.id}: worksheet "${sheetName}" not found; skipping.`);
+      return [];
+    }
+    return mapRosterRows(sheets.get(sheetName), roster.columns, {
+      defaultProgram: program || roster.defaultProgram || '',
+      sheet: sheetName
+    });
+  });
+};
+
+// Resolves to null, with a warning, when the roster file is missing.
+export const readRoster = async (roster) => {
+  if (!existsSync(roster.path)) {
+    console.warn(`Roster ${roster.id} not found at ${roster.path}; skipping.`);
+    return null;
+  }
+  return readRosterRecords(roster);
+};
+
+export const readAllRosterRecords = async (rosters = ROSTERS) => {
+  const records = [];
+  for (const roster of rosters) {
+    const rosterRecords = await readRoster(roster);
+    (rosterRecords || []).forEach((record) => records.push({ ...record, roster: roster.id }));
+  }
+  return records;
+};
@@ -0,0 +1,439 @@
+import { existsSync } from 'node:fs';
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { buildAuthorCounts, getFacultyAuthorship } from './authorship.mjs';
+import { parseMinMatchScore } from './match-scoring.mjs';
+import { getProgramAssociations, isDuringAnyProgram, resolveProgramPhases } from './programs.mjs';
+import { buildFacultyAcknowledgment, buildProgramAcknowledgment } from '../src/ctsa.js';
+import { normalizeCitedGrantNumber } from '../src/grant-numbers.js';
+
+export const PUBLICATIONS_OUTPUT_PATH = path.resolve('public', 'data', 'publications.json');
+export const GRANTS_OUTPUT_PATH = path.resolve('public', 'data', 'grants.json');
+
+export const getCtsaAwardNumbers = () =>
+  Array.from(
+    new Set(
+      String(process.env.CTSA_AWARD_NUMBERS || '')
+        .split(',')
+        .map((value) => value.trim())
+        .filter(Boolean)
+        .map((value) => {
+          const coreNumber = normalizeCitedGrantNumber(value);
+          if (!coreNumber) {
+            throw new Error(`CTSA_AWARD_NUMBERS: "${value}" is not an NIH award number.`);
+          }
+          return coreNumber;
+        })
+    )
+  );
+
+const normalizeSignalKey = (value) =>
+  String(value || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+
+const normalizeName = (value) =>
+  String(value || '')
+    .toLowerCase()
+    .replace(/[^a-z]/g, '');
+
+const STOPWORDS = new Set([
+  'a',
+  'an',
+  'and',
+  'are',
+  'as',
+  'at',
+  'be',
+  'by',
+  'for',
+  'from',
+  'in',
+  'into',
+  'is',
+  'of',
+  'on',
+  'or',
+  'the',
+  'to',
+  'with'
+]);
+
+const tallyValues = (values, normalize = (value) => value, labeler) => {
+  const counts = new Map();
+  const labels = new Map();
+  values.forEach((value) => {
+    if (!value) {
+      return;
+    }
+    const normalized = normalize(value);
+    if (!normalized) {
+      return;
+    }
+    counts.set(normalized, (counts.get(normalized) || 0) + 1);
+    if (!labels.has(normalized)) {
+      labels.set(normalized, labeler ? labeler(value) : value);
+    }
+  });
+  return { counts, labels };
+};
+
+const topList = (counts, labels, limit = 10) =>
+  Array.from(counts.entries())
+    .sort((a, b) => {
+      const diff = b[1] - a[1];
+      if (diff) {
+        return diff;
+      }
+      return String(labels.get(a[0]) || a[0]).localeCompare(String(labels.get(b[0]) || b[0]));
+    })
+    .slice(0, limit)
+    .map(([key, count]) => ({ name: labels.get(key) || key, count }));
+
+const extractKeywords = (value) =>
+  String(value || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, ' ')
+    .split(/\s+/)
+    .filter((token) => token.length >= 3 && !STOPWORDS.has(token));
+
+const buildSignals = (publications, coauthorsByPmid = new Map()) => {
+  const years = publications.map((pub) => pub.year).filter((year) => Number.isFinite(year));
+  const yearRange = years.length ? { min: Math.min(...years), max: Math.max(...years) } : null;
+  const yearCounts = Array.from(
+    years.reduce((map, year) => {
+      map.set(year, (map.get(year) || 0) + 1);
+      return map;
+    }, new Map())
+  )
+    .map(([year, count]) => ({ year, count }))
+    .sort((a, b) => a.year - b.year);
+
+  const journalTally = tallyValues(publications.map((pub) => pub.journal), normalizeSignalKey);
+  const keywordTally = tallyValues(publications.flatMap((pub) => extractKeywords(pub.title)));
+  const coauthorTally = tallyValues(
+    publications.flatMap((pub) => coauthorsByPmid.get(String(pub.id)) || []),
+    normalizeName
+  );
+
+  return {
+    count: publications.length,
+    yearRange,
+    yearCounts,
+    topJournals: topList(journalTally.counts, journalTally.labels, 10),
+    topKeywords: topList(keywordTally.counts, keywordTally.labels, 12),
+    topCoauthors: topList(coauthorTally.counts, coauthorTally.labels, 12)
+  };
+};
+
+const getFacultyRows = (db, facultyIds) =>
+  db
+    .prepare(
+      `
+      SELECT
+        id,
+        display_name,
+        fore_name,
+        last_name,
+        orcid,
+        department,
+        college,
+        academic_rank,
+        reporter_url
+      FROM faculty
+      WHERE active = 1
+    `
+    )
+    .all()
+    .filter((row) => !facultyIds || facultyIds.includes(row.id));
+
+const withProgramPhases = (rows, getDate, programAssociations, scoped) => {
+  const canScope = scoped && programAssociations.some((association) => association.startDate);
+  return rows
+    .filter((row) => !canScope || isDuringAnyProgram(getDate(row), programAssociations))
+    .map((row) => ({
+      ...row,
+      programPhases: resolveProgramPhases(getDate(row), programAssociations)
+    }));
+};
+
+const getPublicationRows = (db, facultyId, minMatchScore) =>
+  db
+    .prepare(
+      `
+      SELECT p.pmid AS id, p.title, p.journal, p.year, p.pub_date AS pubDate, p.doi, p.url
+      FROM publications p
+      INNER JOIN faculty_publications fp ON fp.pmid = p.pmid
+      LEFT JOIN curation c ON c.faculty_id = fp.faculty_id AND c.pmid = fp.pmid
+      LEFT JOIN match_scores ms ON ms.faculty_id = fp.faculty_id AND ms.pmid = fp.pmid
+      WHERE fp.faculty_id = ?
+        AND (c.verdict IS NULL OR c.verdict = 'true_positive')
+        AND (c.verdict = 'true_positive' OR ms.score IS NULL OR ms.score >= ?)
+      ORDER BY p.year DESC, p.title ASC
+    `
+    )
+    .all(facultyId, minMatchScore);
+
+const getFalsePositivePublicationRows = (db, facultyId) =>
+  db
+    .prepare(
+      `
+      SELECT p.pmid AS id, p.title, p.journal, p.year, p.pub_date AS pubDate, p.doi, p.url
+      FROM publications p
+      INNER JOIN curation c ON c.pmid = p.pmid
+      WHERE c.faculty_id = ? AND c.verdict = 'false_positive'
+    `
+    )
+    .all(facultyId);
+
+const getCoauthorsByPmid = (db, facultyId) => {
+  const rows = db
+    .prepare('SELECT pmid, name FROM faculty_publication_coauthors WHERE faculty_id = ?')
+    .all(facultyId);
+  const map = new Map();
+  rows.forEach((row) => {
+    const key = String(row.pmid);
+    if (!map.has(key)) {
+      map.set(key, []);
+    }
+    map.get(key).push(row.name);
+  });
+  return map;
+};
+
+const getAwardsByPmid = (db, facultyId) => {
+  const rows = db
+    .prepare(
+      `
+      SELECT
+        pg.pmid,
+        pg.grant_id AS grantId,
+        pg.acronym,
+        pg.agency,
+        pg.country,
+        pg.core_project_num AS coreProjectNum,
+        (
+          SELECT g.url FROM grants g
+          WHERE g.core_project_num = pg.core_project_num
+          ORDER BY g.fiscal_year DESC
+          LIMIT 1
+        ) AS url
+      FROM publication_grants pg
+      INNER JOIN faculty_publications fp ON fp.pmid = pg.pmid
+      WHERE fp.faculty_id = ?
+      ORDER BY pg.pmid ASC, pg.sequence ASC
+    `
+    )
+    .all(facultyId);
+  const map = new Map();
+  rows.forEach(({ pmid, ...award }) => {
+    const key = String(pmid);
+    if (!map.has(key)) {
+      map.set(key, []);
+    }
+    map.get(key).push({ ...award, coreProjectNum: award.coreProjectNum || '', url: award.url || '' });
+  });
+  return map;
+};
+
+const getCitingPublicationsByCore = (db, minMatchScore) => {
+  const rows = db
+    .prepare(
+      `
+      SELECT DISTINCT
+        pg.core_project_num AS coreProjectNum,
+        p.pmid AS id,
+        p.title,
+        p.journal,
+        p.year,
+        p.url
+      FROM publication_grants pg
+      INNER JOIN publications p ON p.pmid = pg.pmid
+      INNER JOIN faculty_publications fp ON fp.pmid = pg.pmid
+      INNER JOIN faculty f ON f.id = fp.faculty_id AND f.active = 1
+      LEFT JOIN curation c ON c.faculty_id = fp.faculty_id AND c.pmid = fp.pmid
+      LEFT JOIN match_scores ms ON ms.faculty_id = fp.faculty_id AND ms.pmid = fp.pmid
+      WHERE pg.core_project_num IS NOT NULL
+        AND (c.verdict IS NULL OR c.verdict = 'true_positive')
+        AND (c.verdict = 'true_positive' OR ms.score IS NULL OR ms.score >= ?)
+      ORDER BY p.year DESC, p.title ASC
+    `
+    )
+    .all(minMatchScore);
+  const map = new Map();
+  rows.forEach(({ coreProjectNum, ...publication }) => {
+    if (!map.has(coreProjectNum)) {
+      map.set(coreProjectNum, []);
+    }
+    map.get(coreProjectNum).push(publication);
+  });
+  return map;
+};
+
+const getGrantRows = (db, facultyId) =>
+  db
+    .prepare(
+      `
+      SELECT
+        g.id,
+        g.title,
+        fg.role,
+        fg.amount,
+        g.start_date AS startDate,
+        g.end_date AS endDate,
+        g.fiscal_year AS fiscalYear,
+        g.url,
+        g.core_project_num AS coreProjectNum
+      FROM faculty_grants fg
+      INNER JOIN grants g ON g.id = fg.grant_id
+      WHERE fg.faculty_id = ?
+      ORDER BY g.start_date DESC
+    `
+    )
+    .all(facultyId);
+
+const buildPublicationFaculty = (db, facultyIds) => {
+  const scoped = process.env.PUB_SCOPE_TO_PROGRAMS === 'true';
+  const minMatchScore = parseMinMatchScore(process.env.PUB_MIN_MATCH_SCORE);
+  const ctsaAwards = new Set(getCtsaAwardNumbers());
+  return getFacultyRows(db, facultyIds).map((facultyRow) => {
+    const id = facultyRow.id;
+    const programAssociations = getProgramAssociations(db, id);
+    const programs = Array.from(
+      new Set(programAssociations.map((entry) => entry.program).filter(Boolean))
+    );
+    const authorshipByPmid = getFacultyAuthorship(db, id);
+    const awardsByPmid = getAwardsByPmid(db, id);
+    const publications = withProgramPhases(
+      getPublicationRows(db, id, minMatchScore),
+      (publication) => publication.pubDate || publication.year,
+      programAssociations,
+      scoped
+    ).map((publication) => {
+      const authorship = authorshipByPmid.get(String(publication.id));
+      const awards = awardsByPmid.get(String(publication.id)) || [];
+      const withAwards = ctsaAwards.size
+        ? {
+            ...publication,
+            awards,
+            ctsaAcknowledged: awards.some((award) => ctsaAwards.has(award.coreProjectNum))
+          }
+        : { ...publication, awards };
+      return authorship ? { ...withAwards, authorship } : withAwards;
+    });
+    const falsePositivePublications = getFalsePositivePublicationRows(db, id);
+    const coauthorsByPmid = getCoauthorsByPmid(db, id);
+
+    return {
+      id,
+      name:
+        facultyRow.display_name ||
+        `${facultyRow.fore_name || ''} ${facultyRow.last_name || ''}`.trim() ||
+        id,
+      department: facultyRow.department || '',
+      college: facultyRow.college || '',
+      rank: facultyRow.academic_rank || '',
+      orcid: facultyRow.orcid || '',
+      areas: [],
+      programs,
+      programAssociations,
+      publications,
+      authorCounts: buildAuthorCounts(publications, authorshipByPmid),
+      ctsaAcknowledgment: ctsaAwards.size
+        ? buildFacultyAcknowledgment(publications, programs)
+        : null,
+      signals: {
+        positive: buildSignals(publications, coauthorsByPmid),
+        negative: buildSignals(falsePositivePublications, coauthorsByPmid)
+      }
+    };
+  });
+};
+
+const buildCtsaSummary = (faculty) => {
+  const awards = getCtsaAwardNumbers();
+  return awards.length ? { awards, programs: buildProgramAcknowledgment(faculty) } : null;
+};
+
+export const buildPublicationsOutput = (db) => {
+  const faculty = buildPublicationFaculty(db);
+  return {
+    updated: new Date().toISOString().slice(0, 10),
+    source: 'PubMed E-utilities',
+    ctsa: buildCtsaSummary(faculty),
+    faculty
+  };
+};
+
+export const buildGrantsOutput = (db) => {
+  const scoped = process.env.REPORTER_SCOPE_TO_PROGRAMS === 'true';
+  const citingByCore = getCitingPublicationsByCore(
+    db,
+    parseMinMatchScore(process.env.PUB_MIN_MATCH_SCORE)
+  );
+  const faculty = getFacultyRows(db).map((facultyRow) => {
+    const id = facultyRow.id;
+    const programAssociations = getProgramAssociations(db, id);
+    const programs = Array.from(
+      new Set(programAssociations.map((entry) => entry.program).filter(Boolean))
+    );
+    return {
+      id,
+      name:
+        facultyRow.display_name ||
+        `${facultyRow.fore_name || ''} ${facultyRow.last_name || ''}`.trim() ||
+        id,
+      department: facultyRow.department || '',
+      college: facultyRow.college || '',
+      rank: facultyRow.academic_rank || '',
+      programs,
+      programAssociations,
+      reporterUrl: facultyRow.reporter_url || '',
+      grants: withProgramPhases(
+        getGrantRows(db, id),
+        (grant) => grant.startDate,
+        programAssociations,
+        scoped
+      ).map((grant) => ({
+        ...grant,
+        citingPublications: citingByCore.get(grant.coreProjectNum) || []
+      }))
+    };
+  });
+
+  return {
+    updated: new Date().toISOString().slice(0, 10),
+    source: 'NIH RePORTER API',
+    faculty
+  };
+};
+
+export const writeJsonOutput = (outputPath, data) =>
+  writeFile(outputPath, `${JSON.stringify(data, null, 2)}\n`, 'utf8');
+
+export const refreshPublicationsOutput = async (db, facultyIds) => {
+  if (!existsSync(PUBLICATIONS_OUTPUT_PATH)) {
+    throw new Error(`${PUBLICATIONS_OUTPUT_PATH} does not exist yet; run npm run export:data first.`);
+  }
+  const output = JSON.parse(await readFile(PUBLICATIONS_OUTPUT_PATH, 'utf8'));
+  const refreshed = new Map(buildPublicationFaculty(db, facultyIds).map((entry) => [entry.id, entry]));
+  const requested = new Set(facultyIds.map(String));
+  // Requested faculty the export no longer covers (e.g. deactivated) drop out, as in a full run.
+  const faculty = (output.faculty || [])
+    .filter((entry) => !requested.has(entry.id) || refreshed.has(entry.id))
+    .map((entry) => refreshed.get(entry.id) || entry);
+  refreshed.forEach((entry, id) => {
+    if (!faculty.some((existing) => existing.id === id)) {
+      faculty.push(entry);
+    }
+  });
+  await writeJsonOutput(PUBLICATIONS_OUTPUT_PATH, {
+    ...output,
+    updated: new Date().toISOString().slice(0, 10),
+    ctsa: buildCtsaSummary(faculty),
+    faculty
+  });
+  // Grants list the publications citing them, which the verdict change may have altered.
+  await writeJsonOutput(GRANTS_OUTPUT_PATH, buildGrantsOutput(db));
+  return refreshed.size;
+};
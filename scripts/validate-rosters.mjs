@@ -0,0 +1,34 @@
+import { existsSync } from 'node:fs';
+import path from 'node:path';
+import dotenv from 'dotenv';
+import { formatRosterIssue, validateRosters } from './roster-validation.mjs';
+
+const envLocal = path.resolve('.env.local');
+if (existsSync(envLocal)) {
+  dotenv.config({ path: envLocal });
+} else {
+  dotenv.config();
+}
+
+const main = async () => {
+  const { rowCount, issues, errors, warnings } = await validateRosters();
+  issues.forEach((issue) => {
+    const line = formatRosterIssue(issue);
+    if (issue.severity === 'error') {
+      console.error(line);
+    } else {
+      console.warn(line);
+    }
+  });
+  console.log(
+    `Checked ${rowCount} roster rows: ${errors.length} errors, ${warnings.length} warnings.`
+  );
+  if (errors.length) {
+    process.exit(1);
+  }
+};
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
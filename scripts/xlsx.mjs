@@ -0,0 +1,182 @@
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { inflateRawSync } from 'node:zlib';
+import { XMLParser } from 'fast-xml-parser';
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+const ARRAY_TAGS = new Set(['sheet', 'Relationship', 'si', 'r', 'row', 'c']);
+
+const xmlParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  textNodeName: '#text',
+  parseTagValue: false,
+  trimValues: false,
+  isArray: (name) => ARRAY_TAGS.has(name)
+});
+
+const toArray = (value) => {
+  if (!value) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+};
+
+const getText = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  if (typeof value === 'string' || typeof value === 'number') {
+    return String(value);
+  }
+  if (typeof value === 'object' && '#text' in value) {
+    return String(value['#text']);
+  }
+  return '';
+};
+
+const readZipEntries = (buffer) => {
+  let eocdOffset = -1;
+  for (let offset = buffer.length - 22; offset >= 0; offset -= 1) {
+    if (buffer.readUInt32LE(offset) === END_OF_CENTRAL_DIRECTORY) {
+      eocdOffset = offset;
+      break;
+    }
+  }
+  if (eocdOffset < 0) {
+    throw new Error('Not a valid XLSX file: zip directory not found');
+  }
+
+  const entryCount = buffer.readUInt16LE(eocdOffset + 10);
+  let offset = buffer.readUInt32LE(eocdOffset + 16);
+  const entries = new Map();
+
+  for (let index = 0; index < entryCount; index += 1) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) {
+      throw new Error('Not a valid XLSX file: corrupt zip directory');
+    }
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    entries.set(name, { method, compressedSize, localOffset });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return {
+    has: (name) => entries.has(name),
+    read: (name) => {
+      const entry = entries.get(name);
+      if (!entry) {
+        return '';
+      }
+      const { localOffset, compressedSize, method } = entry;
+      if (buffer.readUInt32LE(localOffset) !== LOCAL_FILE_HEADER) {
+        throw new Error(`Not a valid XLSX file: corrupt entry ${name}`);
+      }
+      const dataStart =
+        localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+      const data = buffer.subarray(dataStart, dataStart + compressedSize);
+      if (method === 0) {
+        return data.toString('utf8');
+      }
+      if (method === 8) {
+        return inflateRawSync(data).toString('utf8');
+      }
+      throw new Error(`Unsupported zip compression method ${method} for ${name}`);
+    }
+  };
+};
+
+const parseSharedStrings = (xmlText) => {
+  if (!xmlText) {
+    return [];
+  }
+  const doc = xmlParser.parse(xmlText);
+  return toArray(doc?.sst?.si).map((item) => {
+    if (item.t !== undefined) {
+      return getText(item.t);
+    }
+    return toArray(item.r)
+      .map((run) => getText(run.t))
+      .join('');
+  });
+};
+
+const columnIndexFromRef = (ref) => {
+  const letters = String(ref || '').replace(/[^A-Z]/gi, '').toUpperCase();
+  let index = 0;
+  for (const letter of letters) {
+    index = index * 26 + (letter.charCodeAt(0) - 64);
+  }
+  return index - 1;
+};
+
+const readCellValue = (cell, sharedStrings) => {
+  const type = cell['@_t'] || 'n';
+  if (type === 's') {
+    return sharedStrings[Number(getText(cell.v))] ?? '';
+  }
+  if (type === 'inlineStr') {
+    const inline = cell.is || {};
+    if (inline.t !== undefined) {
+      return getText(inline.t);
+    }
+    return toArray(inline.r)
+      .map((run) => getText(run.t))
+      .join('');
+  }
+  if (type === 'b') {
+    return getText(cell.v) === '1' ? 'TRUE' : 'FALSE';
+  }
+  return getText(cell.v);
+};
+
+const parseSheetRows = (xmlText, sharedStrings) => {
+  const doc = xmlParser.parse(xmlText);
+  const rows = [];
+  toArray(doc?.worksheet?.sheetData?.row).forEach((row) => {
+    const rowIndex = Number(row['@_r']) - 1;
+    const values = [];
+    toArray(row.c).forEach((cell, position) => {
+      const columnIndex = cell['@_r'] ? columnIndexFromRef(cell['@_r']) : position;
+      values[columnIndex] = readCellValue(cell, sharedStrings);
+    });
+    rows[Number.isFinite(rowIndex) && rowIndex >= 0 ? rowIndex : rows.length] = Array.from(
+      values,
+      (value) => value ?? ''
+    );
+  });
+  return Array.from(rows, (row) => row ?? []);
+};
+
+const resolveSheetPath = (target) => {
+  const clean = String(target || '').replace(/^\/+/, '');
+  return clean.startsWith('xl/') ? clean : path.posix.join('xl', clean);
+};
+
+export const readXlsxSheets = async (filePath) => {
+  const zip = readZipEntries(await readFile(filePath));
+  const workbook = xmlParser.parse(zip.read('xl/workbook.xml'));
+  const relationships = xmlParser.parse(zip.read('xl/_rels/workbook.xml.rels'));
+  const targets = new Map(
+    toArray(relationships?.Relationships?.Relationship).map((rel) => [rel['@_Id'], rel['@_Target']])
+  );
+  const sharedStrings = parseSharedStrings(zip.read('xl/sharedStrings.xml'));
+
+  const sheets = new Map();
+  toArray(workbook?.workbook?.sheets?.sheet).forEach((sheet) => {
+    const sheetPath = resolveSheetPath(targets.get(sheet['@_r:id']));
+    if (!zip.has(sheetPath)) {
+      return;
+    }
+    sheets.set(String(sheet['@_name']), parseSheetRows(zip.read(sheetPath), sharedStrings));
+  });
+  return sheets;
+};
@@ -1,4 +1,10 @@
 import { Fragment, useEffect, useMemo, useRef, useState } from 'react';
+import {
+  buildFacultyAcknowledgment,
+  buildProgramAcknowledgment,
+  countsTowardProgram
+} from './ctsa.js';
+import { extractCoreGrantNumber, parseGrantCore } from './grant-numbers.js';
 
 const PUBLICATIONS_URL = `${import.meta.env.BASE_URL}data/publications.json`;
 const GRANTS_URL = `${import.meta.env.BASE_URL}data/grants.json`;
@@ -50,34 +56,20 @@ const formatProgramAssociation = (association) => {
   if (!association.startDate) {
     return association.program;
   }
+  if (association.endDate) {
+    return `${association.program} (${formatDate(association.startDate)} to ${formatDate(
+      association.endDate
+    )})`;
+  }
   return `${association.program} (start ${formatDate(association.startDate)})`;
 };
 
-const extractCoreGrantNumber = (value) => {
-  if (!value) {
-    return '';
-  }
-  const base = String(value).split('-')[0];
-  const stripped = base.replace(/^[0-9]+/, '');
-  return (stripped || base).toUpperCase();
-};
+const formatFacultyAffiliation = (member) =>
+  [member?.rank, member?.department, member?.college].filter(Boolean).join(' · ');
 
-const parseGrantCore = (value) => {
-  const coreNumber = extractCoreGrantNumber(value);
-  if (!coreNumber) {
-    return { coreNumber: '', activity: '', institute: '', serial: '' };
-  }
-  const match = coreNumber.match(/^([A-Z0-9]+?)([A-Z]{2})(\d+)$/);
-  if (!match) {
-    return { coreNumber, activity: '', institute: '', serial: '' };
-  }
-  return {
-    coreNumber,
-    activity: match[1],
-    institute: match[2],
-    serial: match[3]
-  };
-};
+const matchesAffiliationFilters = (member, departmentFilters, collegeFilters) =>
+  (!departmentFilters.length || departmentFilters.includes(member.department)) &&
+  (!collegeFilters.length || collegeFilters.includes(member.college));
 
 const getGrantGroupInfo = (grant) => {
   const source = grant.coreProjectNum || grant.id || '';
@@ -158,6 +150,16 @@ const getAuthorCounts = (member, publications) => {
   return member.authorCounts || member.signals?.positive?.authorCounts || null;
 };
 
+const getCtsaAcknowledgment = (member, publications) => {
+  if (!member.ctsaAcknowledgment) {
+    return null;
+  }
+  if (!publications || publications.length === (member.publications || []).length) {
+    return member.ctsaAcknowledgment;
+  }
+  return buildFacultyAcknowledgment(publications, member.programs || []);
+};
+
 const formatAuthorshipLabel = (authorship) => {
   if (!authorship) {
     return { label: '—', title: 'Authorship position unknown.', isKnown: false };
@@ -549,6 +551,8 @@ const buildCollaborationGraph = (members) => {
       id: member.id,
       name: member.name,
       department: member.department,
+      college: member.college || '',
+      rank: member.rank || '',
       programs: member.programs || [],
       publicationCount: member.filteredPublications.length
     });
@@ -632,6 +636,7 @@ const ChartCard = ({
   onDownloadSvg,
   onDownloadPng,
   actionsDisabled,
+  controls,
   children,
   legend,
   detail
@@ -643,6 +648,7 @@ const ChartCard = ({
         {subtitle ? <p className="chart-subtitle">{subtitle}</p> : null}
       </div>
       <div className="chart-actions">
+        {controls}
         <button
           type="button"
           className="chart-button"
@@ -1442,6 +1448,45 @@ const NetworkGraph = ({
   );
 };
 
+const AffiliationPills = ({
+  department,
+  college,
+  departmentFilters,
+  collegeFilters,
+  onToggleDepartment,
+  onToggleCollege,
+}) => {
+  if (!department && !college) {
+    return '—';
+  }
+  return (
+    <div className="program-list">
+      {department ? (
+        <button
+          type="button"
+          className={`program-pill ${departmentFilters.includes(department) ? 'is-active' : ''}`}
+          onClick={() => onToggleDepartment(department)}
+          aria-pressed={departmentFilters.includes(department)}
+          title={`Filter by ${department}`}
+        >
+          {department}
+        </button>
+      ) : null}
+      {college ? (
+        <button
+          type="button"
+          className={`program-pill ${collegeFilters.includes(college) ? 'is-active' : ''}`}
+          onClick={() => onToggleCollege(college)}
+          aria-pressed={collegeFilters.includes(college)}
+          title={`Filter by ${college}`}
+        >
+          {college}
+        </button>
+      ) : null}
+    </div>
+  );
+};
+
 export default function App() {
   const [pubData, setPubData] = useState({ updated: '', source: '', faculty: [] });
   const [grantData, setGrantData] = useState({ updated: '', source: '', faculty: [] });
@@ -1464,6 +1509,9 @@ export default function App() {
   const [pubSortBy, setPubSortBy] = useState('name');
   const [grantSortBy, setGrantSortBy] = useState('name');
   const [programFilters, setProgramFilters] = useState([]);
+  const [departmentFilters, setDepartmentFilters] = useState([]);
+  const [collegeFilters, setCollegeFilters] = useState([]);
+  const [affiliationDimension, setAffiliationDimension] = useState('department');
   const [grantTypeFilters, setGrantTypeFilters] = useState([]);
   const [openId, setOpenId] = useState(null);
   const [selectedFacultyId, setSelectedFacultyId] = useState(() => {
@@ -1480,13 +1528,16 @@ export default function App() {
   const profileProgramRef = useRef(null);
   const pubTrendRef = useRef(null);
   const pubProgramRef = useRef(null);
+  const pubAffiliationRef = useRef(null);
   const pubAuthorshipRef = useRef(null);
+  const pubCtsaRef = useRef(null);
   const grantFundingRef = useRef(null);
   const grantTypeRef = useRef(null);
   const grantTopRef = useRef(null);
   const [chartSelections, setChartSelections] = useState({
     pubTrend: null,
     pubProgram: null,
+    pubAffiliation: null,
     pubAuthorship: null,
     grantYear: null,
     grantType: null,
@@ -1708,6 +1759,28 @@ export default function App() {
     );
   };
 
+  const toggleDepartmentFilter = (department) => {
+    if (!department) {
+      return;
+    }
+    setDepartmentFilters((current) =>
+      current.includes(department)
+        ? current.filter((entry) => entry !== department)
+        : [...current, department]
+    );
+  };
+
+  const toggleCollegeFilter = (college) => {
+    if (!college) {
+      return;
+    }
+    setCollegeFilters((current) =>
+      current.includes(college)
+        ? current.filter((entry) => entry !== college)
+        : [...current, college]
+    );
+  };
+
   const toggleGrantTypeFilter = (type) => {
     if (!type) {
       return;
@@ -1722,10 +1795,13 @@ export default function App() {
   const handleClearFilters = () => {
     setQuery('');
     setProgramFilters([]);
+    setDepartmentFilters([]);
+    setCollegeFilters([]);
     setGrantTypeFilters([]);
     setChartSelections({
       pubTrend: null,
       pubProgram: null,
+      pubAffiliation: null,
       pubAuthorship: null,
       grantYear: null,
       grantType: null,
@@ -1782,6 +1858,26 @@ export default function App() {
     }
   };
 
+  const handleSelectAffiliationSpotlight = (entry) => {
+    if (!entry?.label) {
+      return;
+    }
+    setSelection('pubAffiliation', entry);
+    if (entry.label === 'Other' || entry.label === 'Unlisted') {
+      return;
+    }
+    if (affiliationDimension === 'college') {
+      toggleCollegeFilter(entry.label);
+    } else {
+      toggleDepartmentFilter(entry.label);
+    }
+  };
+
+  const handleChangeAffiliationDimension = (dimension) => {
+    setAffiliationDimension(dimension);
+    clearSelection('pubAffiliation');
+  };
+
   const handleSelectAuthorship = (segment) => {
     if (!segment?.label) {
       return;
@@ -1848,7 +1944,8 @@ export default function App() {
         ...member,
         filteredPublications: pubsInRange,
         matchesQuery,
-        matchesPrograms
+        matchesPrograms,
+        matchesAffiliation: matchesAffiliationFilters(member, departmentFilters, collegeFilters)
       };
     });
 
@@ -1856,7 +1953,8 @@ export default function App() {
       (member) =>
         member.filteredPublications.length > 0 &&
         member.matchesQuery &&
-        member.matchesPrograms
+        member.matchesPrograms &&
+        member.matchesAffiliation
     );
 
     const sorted = [...filtered].sort((a, b) => {
@@ -1872,7 +1970,16 @@ export default function App() {
     });
 
     return sorted;
-  }, [pubData, query, pubSortBy, yearMin, yearMax, programFilters]);
+  }, [
+    pubData,
+    query,
+    pubSortBy,
+    yearMin,
+    yearMax,
+    programFilters,
+    departmentFilters,
+    collegeFilters
+  ]);
 
   const filteredGrants = useMemo(() => {
     const needle = normalize(query.trim());
@@ -1972,6 +2079,7 @@ export default function App() {
         grantTypes,
         matchesQuery,
         matchesPrograms,
+        matchesAffiliation: matchesAffiliationFilters(member, departmentFilters, collegeFilters),
         matchesGrantTypes,
         totalAmount,
         hasAmount
@@ -1983,6 +2091,7 @@ export default function App() {
         member.groupedGrants.length > 0 &&
         member.matchesQuery &&
         member.matchesPrograms &&
+        member.matchesAffiliation &&
         member.matchesGrantTypes
     );
 
@@ -1997,7 +2106,15 @@ export default function App() {
     });
 
     return sorted;
-  }, [grantData, query, grantSortBy, programFilters, grantTypeFilters]);
+  }, [
+    grantData,
+    query,
+    grantSortBy,
+    programFilters,
+    departmentFilters,
+    collegeFilters,
+    grantTypeFilters
+  ]);
 
   const facultyProfilesById = useMemo(() => {
     const map = new Map();
@@ -2019,6 +2136,8 @@ export default function App() {
         id: member.id,
         name: member.name,
         department: member.department,
+        college: member.college || '',
+        rank: member.rank || '',
         orcid: member.orcid || '',
         publications: member.publications || [],
         grants: [],
@@ -2031,6 +2150,8 @@ export default function App() {
         id: member.id,
         name: member.name,
         department: member.department,
+        college: member.college || '',
+        rank: member.rank || '',
         orcid: '',
         publications: [],
         grants: [],
@@ -2038,6 +2159,8 @@ export default function App() {
       };
       existing.name = existing.name || member.name;
       existing.department = existing.department || member.department;
+      existing.college = existing.college || member.college || '';
+      existing.rank = existing.rank || member.rank || '';
       existing.grants = member.grants || [];
       const associations = [
         ...(existing.programAssociations || []),
@@ -2344,6 +2467,50 @@ export default function App() {
     return [...top, { label: 'Other', value: otherValue }];
   }, [programSeries]);
 
+  const ctsaProgramSeries = useMemo(() => {
+    if (!pubData.ctsa?.awards?.length) {
+      return [];
+    }
+    return buildProgramAcknowledgment(filteredPublications, (member) => member.filteredPublications)
+      .filter((entry) => entry.total > 0)
+      .map((entry) => ({
+        label: entry.program,
+        value: entry.rate * 100,
+        acknowledged: entry.acknowledged,
+        total: entry.total
+      }))
+      .sort((a, b) => b.value - a.value);
+  }, [pubData.ctsa, filteredPublications]);
+
+  const affiliationSeries = useMemo(() => {
+    const counts = new Map();
+    filteredPublications.forEach((member) => {
+      const count = member.filteredPublications.length;
+      if (!count) {
+        return;
+      }
+      const label = member[affiliationDimension] || 'Unlisted';
+      counts.set(label, (counts.get(label) || 0) + count);
+    });
+    return Array.from(counts, ([label, value]) => ({ label, value })).sort(
+      (a, b) => b.value - a.value
+    );
+  }, [filteredPublications, affiliationDimension]);
+
+  const topAffiliationSeries = useMemo(() => {
+    if (!affiliationSeries.length) {
+      return [];
+    }
+    const top = affiliationSeries.slice(0, 5);
+    if (affiliationSeries.length <= 5) {
+      return top;
+    }
+    const otherValue = affiliationSeries
+      .slice(5)
+      .reduce((sum, entry) => sum + entry.value, 0);
+    return [...top, { label: 'Other', value: otherValue }];
+  }, [affiliationSeries]);
+
   const authorshipSegments = useMemo(() => {
     const totals = {
       sole: 0,
@@ -2503,6 +2670,12 @@ export default function App() {
 
   const hasPublicationTrend = publicationTrendData.some((entry) => entry.value > 0);
   const hasProgramSeries = topProgramSeries.some((entry) => entry.value > 0);
+  const hasCtsaAwards = Boolean(pubData.ctsa?.awards?.length);
+  const hasCtsaSeries = ctsaProgramSeries.length > 0;
+  const hasAffiliationSeries = topAffiliationSeries.some(
+    (entry) => entry.value > 0 && entry.label !== 'Unlisted'
+  );
+  const affiliationLabel = affiliationDimension === 'college' ? 'College' : 'Department';
   const hasAuthorship = visibleAuthorshipSegments.some((entry) => entry.value > 0);
   const hasGrantYears = grantYearData.some((entry) => entry.value > 0);
   const hasGrantTypes = visibleGrantTypeSegments.some((entry) => entry.value > 0);
@@ -2589,6 +2762,53 @@ export default function App() {
     };
   }, [chartSelections.pubProgram, filteredPublications, programSeries]);
 
+  const affiliationSpotlightDetail = useMemo(() => {
+    const selection = chartSelections.pubAffiliation;
+    if (!selection) {
+      return null;
+    }
+    const unitLabel = selection.label;
+    const isOther = unitLabel === 'Other';
+    const otherUnits = affiliationSeries.slice(5).map((entry) => entry.label);
+    const activeUnits = isOther ? otherUnits : [unitLabel];
+    const members = filteredPublications.filter((member) =>
+      activeUnits.includes(member[affiliationDimension] || 'Unlisted')
+    );
+    const total = members.reduce(
+      (sum, member) => sum + member.filteredPublications.length,
+      0
+    );
+    const topFaculty = members
+      .map((member) => ({
+        name: member.name,
+        count: member.filteredPublications.length
+      }))
+      .filter((entry) => entry.count > 0)
+      .sort((a, b) => b.count - a.count)
+      .slice(0, 3)
+      .map((entry) => `${entry.name} (${entry.count})`);
+    const unitNoun = affiliationLabel.toLowerCase();
+    const otherNote = isOther
+      ? `Grouped: ${joinComma(otherUnits.slice(0, 4))}${
+          otherUnits.length > 4 ? ` (+${otherUnits.length - 4} more)` : ''
+        }`
+      : `Faculty in ${unitNoun}: ${members.length}`;
+    return {
+      title: `${affiliationLabel} ${unitLabel}`,
+      lines: [
+        `Publications: ${formatCompactNumber(total)}`,
+        `Top faculty: ${joinComma(topFaculty)}`,
+        otherNote
+      ]
+    };
+  }, [
+    chartSelections.pubAffiliation,
+    filteredPublications,
+    affiliationSeries,
+    affiliationDimension,
+    affiliationLabel
+  ]);
+
   const authorshipDetail = useMemo(() => {
     const selection = chartSelections.pubAuthorship;
     if (!selection) {
@@ -2804,12 +3024,16 @@ export default function App() {
     query.trim() || 'All',
     yearMin ? String(yearMin) : 'All',
     yearMax ? String(yearMax) : 'All',
-    formatFilterList(programFilters)
+    formatFilterList(programFilters),
+    formatFilterList(departmentFilters),
+    formatFilterList(collegeFilters)
   ];
 
   const getGrantFilterValues = () => [
     query.trim() || 'All',
     formatFilterList(programFilters),
+    formatFilterList(departmentFilters),
+    formatFilterList(collegeFilters),
     formatFilterList(grantTypeFilters)
   ];
 
@@ -2819,18 +3043,23 @@ export default function App() {
         'Filter: Search',
         'Filter: Year Min',
         'Filter: Year Max',
-        'Filter: Programs'
+        'Filter: Programs',
+        'Filter: Departments',
+        'Filter: Colleges'
       ];
       const filterValues = getPublicationFilterValues();
       const headers = [
         'Faculty',
         'ORCID',
-        'Affiliation',
+        'Department',
+        'College',
+        'Rank',
         'Programs',
         'Publications',
         'Latest Year',
         'First Authorships',
         'Last Authorships',
+        ...(hasCtsaAwards ? ['CTSA Acknowledged', 'CTSA Acknowledgment Rate'] : []),
         ...filterHeaders
       ];
       const rows = filteredPublications.map((member) => {
@@ -2842,15 +3071,24 @@ export default function App() {
           member,
           member.filteredPublications
         );
+        const ctsaAcknowledgment = getCtsaAcknowledgment(member, member.filteredPublications);
         return [
           member.name || '',
           member.orcid || '—',
           member.department || '',
+          member.college || '',
+          member.rank || '',
           joinList(member.programs || []),
           member.filteredPublications.length || 0,
           latestYear,
           authorCounts ? authorCounts.first ?? 0 : '—',
           authorCounts ? authorCounts.last ?? 0 : '—',
+          ...(hasCtsaAwards
+            ? [
+                ctsaAcknowledgment?.acknowledged ?? '—',
+                formatPercent(ctsaAcknowledgment?.rate)
+              ]
+            : []),
           ...filterValues
         ];
       });
@@ -2862,11 +3100,19 @@ export default function App() {
       return;
     }
 
-    const filterHeaders = ['Filter: Search', 'Filter: Programs', 'Filter: Grant Types'];
+    const filterHeaders = [
+      'Filter: Search',
+      'Filter: Programs',
+      'Filter: Departments',
+      'Filter: Colleges',
+      'Filter: Grant Types'
+    ];
     const filterValues = getGrantFilterValues();
     const headers = [
       'Faculty',
-      'Affiliation',
+      'Department',
+      'College',
+      'Rank',
       'Programs',
       'Grant Types',
       'Grants',
@@ -2882,6 +3128,8 @@ export default function App() {
       return [
         member.name || '',
         member.department || '',
+        member.college || '',
+        member.rank || '',
         joinList(member.programs || []),
         joinList(member.grantTypes || []),
         member.grantCount ?? 0,
@@ -2903,13 +3151,17 @@ export default function App() {
         'Filter: Search',
         'Filter: Year Min',
         'Filter: Year Max',
-        'Filter: Programs'
+        'Filter: Programs',
+        'Filter: Departments',
+        'Filter: Colleges'
       ];
       const filterValues = getPublicationFilterValues();
       const headers = [
         'Faculty',
         'ORCID',
-        'Affiliation',
+        'Department',
+        'College',
+        'Rank',
         'Programs',
         'PMID',
         'Year',
@@ -2935,6 +3187,8 @@ export default function App() {
             member.name || '',
             member.orcid || '—',
             member.department || '',
+            member.college || '',
+            member.rank || '',
             joinList(member.programs || []),
             pub.id || '—',
             Number.isFinite(pub.year) ? pub.year : '—',
@@ -2957,11 +3211,19 @@ export default function App() {
       return;
     }
 
-    const filterHeaders = ['Filter: Search', 'Filter: Programs', 'Filter: Grant Types'];
+    const filterHeaders = [
+      'Filter: Search',
+      'Filter: Programs',
+      'Filter: Departments',
+      'Filter: Colleges',
+      'Filter: Grant Types'
+    ];
     const filterValues = getGrantFilterValues();
     const headers = [
       'Faculty',
-      'Affiliation',
+      'Department',
+      'College',
+      'Rank',
       'Programs',
       'Grant Type',
       'Group Number',
@@ -2982,6 +3244,8 @@ export default function App() {
         return [
           member.name || '',
           member.department || '',
+          member.college || '',
+          member.rank || '',
           joinList(member.programs || []),
           groupInfo.type || '—',
           groupInfo.displayNumber || '—',
@@ -3005,6 +3269,59 @@ export default function App() {
     );
   };
 
+  const handleExportCtsaGapsCsv = () => {
+    const filterHeaders = [
+      'Filter: Search',
+      'Filter: Year Min',
+      'Filter: Year Max',
+      'Filter: Programs',
+      'Filter: Departments',
+      'Filter: Colleges'
+    ];
+    const filterValues = getPublicationFilterValues();
+    const headers = [
+      'Faculty',
+      'Program',
+      'Program Phase',
+      'PMID',
+      'Title',
+      'Journal',
+      'Year',
+      'DOI',
+      'Cited Awards',
+      ...filterHeaders
+    ];
+    const rows = [];
+    filteredPublications.forEach((member) => {
+      (member.programs || []).forEach((program) => {
+        member.filteredPublications
+          .filter((pub) => !pub.ctsaAcknowledged && countsTowardProgram(pub, program))
+          .forEach((pub) => {
+            const phase = (pub.programPhases || []).find((entry) => entry.program === program);
+            rows.push([
+              member.name || '',
+              program,
+              phase?.phase || '—',
+              pub.id,
+              pub.title || '',
+              pub.journal || '',
+              pub.year || '',
+              pub.doi || '',
+              joinList(
+                (pub.awards || []).map((award) => award.coreProjectNum || award.grantId)
+              ),
+              ...filterValues
+            ]);
+          });
+      });
+    });
+    downloadCsv(
+      buildExportFilename('ctsa-unacknowledged', pubData.updated),
+      headers,
+      rows
+    );
+  };
+
   const handleExportCollaborationCsv = () => {
     const filterHeaders = [
       'Filter: Search',
@@ -3196,6 +3513,16 @@ export default function App() {
               >
                 Download Detailed CSV
               </button>
+              {isPublications && hasCtsaAwards ? (
+                <button
+                  type="button"
+                  className="button"
+                  onClick={handleExportCtsaGapsCsv}
+                  title="Download program scholars' publications that do not cite a CTSA award"
+                >
+                  Download CTSA Gaps CSV
+                </button>
+              ) : null}
             </>
           )}
           {activeData.source ? (
@@ -3275,7 +3602,10 @@ export default function App() {
             </button>
           </div>
         </div>
-        {programFilters.length || (isGrants && grantTypeFilters.length) ? (
+        {programFilters.length ||
+        departmentFilters.length ||
+        collegeFilters.length ||
+        (isGrants && grantTypeFilters.length) ? (
           <div className="active-filters">
             {programFilters.length ? (
               <>
@@ -3296,6 +3626,44 @@ export default function App() {
                 </div>
               </>
             ) : null}
+            {departmentFilters.length ? (
+              <>
+                <span className="label">Department filters</span>
+                <div className="chip-row">
+                  {departmentFilters.map((department) => (
+                    <button
+                      key={department}
+                      type="button"
+                      className="chip is-active"
+                      onClick={() => toggleDepartmentFilter(department)}
+                      aria-pressed="true"
+                    >
+                      {department}
+                      <span aria-hidden="true">×</span>
+                    </button>
+                  ))}
+                </div>
+              </>
+            ) : null}
+            {collegeFilters.length ? (
+              <>
+                <span className="label">College filters</span>
+                <div className="chip-row">
+                  {collegeFilters.map((college) => (
+                    <button
+                      key={college}
+                      type="button"
+                      className="chip is-active"
+                      onClick={() => toggleCollegeFilter(college)}
+                      aria-pressed="true"
+                    >
+                      {college}
+                      <span aria-hidden="true">×</span>
+                    </button>
+                  ))}
+                </div>
+              </>
+            ) : null}
             {isGrants && grantTypeFilters.length ? (
               <>
                 <span className="label">Grant type filters</span>
@@ -3349,9 +3717,9 @@ export default function App() {
             <div>
               <p className="eyebrow">Faculty Show Page</p>
               <h2>{selectedFacultyProfile.name}</h2>
-              <p className="muted">
-                {selectedFacultyProfile.department || 'University of Minnesota'}
-              </p>
+              {formatFacultyAffiliation(selectedFacultyProfile) ? (
+                <p className="muted">{formatFacultyAffiliation(selectedFacultyProfile)}</p>
+              ) : null}
               {selectedFacultyProfile.orcid ? (
                 <p className="muted small">
                   ORCID:{' '}
@@ -3582,6 +3950,26 @@ export default function App() {
                           </>
                         ) : null}
                       </div>
+                      {pub.awards?.length ? (
+                        <div className="pub-awards">
+                          <span className="muted">Awards supporting this publication:</span>
+                          {pub.awards.map((award, index) => (
+                            <span
+                              key={`profile-pub-award-${pub.id}-${index}`}
+                              className="tag"
+                              title={[award.agency, award.country].filter(Boolean).join(', ')}
+                            >
+                              {award.url ? (
+                                <a href={award.url} target="_blank" rel="noreferrer">
+                                  {award.coreProjectNum || award.grantId}
+                                </a>
+                              ) : (
+                                award.coreProjectNum || award.grantId || award.agency
+                              )}
+                            </span>
+                          ))}
+                        </div>
+                      ) : null}
                     </li>
                   ))}
                 </ul>
@@ -3617,6 +4005,29 @@ export default function App() {
                           {formatDate(grant.startDate)} to {formatDate(grant.endDate)}
                         </span>
                       </div>
+                      {grant.citingPublications?.length ? (
+                        <details className="pub-awards">
+                          <summary className="muted">
+                            Publications citing this award ({grant.citingPublications.length})
+                          </summary>
+                          <ul>
+                            {grant.citingPublications.map((pub) => (
+                              <li key={`profile-grant-pub-${grant.id}-${pub.id}`}>
+                                {pub.url ? (
+                                  <a href={pub.url} target="_blank" rel="noreferrer">
+                                    {pub.title}
+                                  </a>
+                                ) : (
+                                  pub.title
+                                )}{' '}
+                                <span className="muted">
+                                  ({[pub.journal, pub.year].filter(Boolean).join(', ')})
+                                </span>
+                              </li>
+                            ))}
+                          </ul>
+                        </details>
+                      ) : null}
                     </li>
                   ))}
                 </ul>
@@ -3756,7 +4167,7 @@ export default function App() {
                       {selectedCollaborationNode.name}
                     </div>
                     <div className="muted small">
-                      {selectedCollaborationNode.department}
+                      {formatFacultyAffiliation(selectedCollaborationNode)}
                     </div>
                     <div className="collaboration-selected-stats">
                       <span>
@@ -3916,6 +4327,60 @@ export default function App() {
                   <div className="chart-empty">No program distribution data yet.</div>
                 )}
               </ChartCard>
+              <ChartCard
+                title={`${affiliationLabel} Spotlight`}
+                subtitle={`Top ${affiliationLabel.toLowerCase()}s by publication volume`}
+                controls={['department', 'college'].map((dimension) => (
+                  <button
+                    key={dimension}
+                    type="button"
+                    className={`chart-button ${
+                      affiliationDimension === dimension ? 'is-active' : ''
+                    }`}
+                    onClick={() => handleChangeAffiliationDimension(dimension)}
+                    aria-pressed={affiliationDimension === dimension}
+                  >
+                    {dimension === 'college' ? 'College' : 'Department'}
+                  </button>
+                ))}
+                onDownloadSvg={() =>
+                  downloadSvg(
+                    pubAffiliationRef.current,
+                    buildChartFilename(`${affiliationDimension}-spotlight`, activeData.updated, 'svg')
+                  )
+                }
+                onDownloadPng={() =>
+                  downloadPng(
+                    pubAffiliationRef.current,
+                    buildChartFilename(`${affiliationDimension}-spotlight`, activeData.updated, 'png')
+                  )
+                }
+                actionsDisabled={!hasAffiliationSeries}
+                detail={
+                  affiliationSpotlightDetail ? (
+                    <ChartDetail
+                      title={affiliationSpotlightDetail.title}
+                      lines={affiliationSpotlightDetail.lines}
+                      onClear={() => clearSelection('pubAffiliation')}
+                    />
+                  ) : null
+                }
+              >
+                {hasAffiliationSeries ? (
+                  <BarChart
+                    id={{ name: 'pub-affiliations', ref: pubAffiliationRef }}
+                    data={topAffiliationSeries}
+                    ariaLabel={`Top ${affiliationLabel.toLowerCase()}s by publication volume`}
+                    valueFormatter={formatCompactNumber}
+                    onSelect={handleSelectAffiliationSpotlight}
+                    selectedLabel={chartSelections.pubAffiliation?.label}
+                  />
+                ) : (
+                  <div className="chart-empty">
+                    No {affiliationLabel.toLowerCase()} attribution data yet.
+                  </div>
+                )}
+              </ChartCard>
               <ChartCard
                 title="Authorship Mix"
                 subtitle="Where CTSI faculty land on author lists"
@@ -3970,6 +4435,36 @@ export default function App() {
                   </div>
                 )}
               </ChartCard>
+              {hasCtsaAwards ? (
+                <ChartCard
+                  title="CTSA Acknowledgment"
+                  subtitle={`Share of program publications citing ${joinComma(pubData.ctsa.awards)}`}
+                  onDownloadSvg={() =>
+                    downloadSvg(
+                      pubCtsaRef.current,
+                      buildChartFilename('ctsa-acknowledgment', activeData.updated, 'svg')
+                    )
+                  }
+                  onDownloadPng={() =>
+                    downloadPng(
+                      pubCtsaRef.current,
+                      buildChartFilename('ctsa-acknowledgment', activeData.updated, 'png')
+                    )
+                  }
+                  actionsDisabled={!hasCtsaSeries}
+                >
+                  {hasCtsaSeries ? (
+                    <BarChart
+                      id={{ name: 'pub-ctsa', ref: pubCtsaRef }}
+                      data={ctsaProgramSeries}
+                      ariaLabel="CTSA award acknowledgment rate by program"
+                      valueFormatter={(value) => formatPercent(value / 100)}
+                    />
+                  ) : (
+                    <div className="chart-empty">No program publications in this view.</div>
+                  )}
+                </ChartCard>
+              ) : null}
             </>
           ) : (
             <>
@@ -4120,7 +4615,7 @@ export default function App() {
           <div className="sticky-author-card">
             <div className="sticky-author-main">
               <span className="sticky-author-name">{openMember.name}</span>
-              <span className="sticky-author-meta">{openMember.department}</span>
+              <span className="sticky-author-meta">{formatFacultyAffiliation(openMember)}</span>
             </div>
             <span className="sticky-author-count">
               {isPublications
@@ -4149,6 +4644,7 @@ export default function App() {
                   <th className="num">Publications</th>
                   <th className="num">Latest Year</th>
                   <th>First/Last</th>
+                  {hasCtsaAwards ? <th className="num">CTSA Ack.</th> : null}
                   <th>Details</th>
                 </tr>
               </thead>
@@ -4169,6 +4665,10 @@ export default function App() {
                     member,
                     member.filteredPublications
                   );
+                  const ctsaAcknowledgment = getCtsaAcknowledgment(
+                    member,
+                    member.filteredPublications
+                  );
                   const isOpen = openId === member.id;
 
                   return (
@@ -4225,7 +4725,17 @@ export default function App() {
                             )}
                           </div>
                         </td>
-                        <td>{member.department}</td>
+                        <td>
+                          <AffiliationPills
+                            department={member.department}
+                            college={member.college}
+                            departmentFilters={departmentFilters}
+                            collegeFilters={collegeFilters}
+                            onToggleDepartment={toggleDepartmentFilter}
+                            onToggleCollege={toggleCollegeFilter}
+                          />
+                          {member.rank ? <div className="muted small">{member.rank}</div> : null}
+                        </td>
                         <td>
                           {member.programs?.length ? (
                             <div className="program-list">
@@ -4304,6 +4814,18 @@ export default function App() {
                             <span className="muted">—</span>
                           )}
                         </td>
+                        {hasCtsaAwards ? (
+                          <td
+                            className="num"
+                            title={
+                              ctsaAcknowledgment
+                                ? `${ctsaAcknowledgment.acknowledged} of ${ctsaAcknowledgment.total} publications since joining a program cite a CTSA award.`
+                                : undefined
+                            }
+                          >
+                            {formatPercent(ctsaAcknowledgment?.rate)}
+                          </td>
+                        ) : null}
                         <td>
                           <button
                             type="button"
@@ -4320,7 +4842,7 @@ export default function App() {
                       </tr>
                       {isOpen ? (
                         <tr className="pub-row">
-                          <td colSpan={8}>
+                          <td colSpan={hasCtsaAwards ? 9 : 8}>
                             <div className="pub-table-wrap" id={`pub-list-${member.id}`}>
                               <div className="pub-table">
                                 <div className="pub-grid pub-header">
@@ -4479,7 +5001,17 @@ export default function App() {
                             </button>
                           </div>
                         </td>
-                        <td>{member.department}</td>
+                        <td>
+                          <AffiliationPills
+                            department={member.department}
+                            college={member.college}
+                            departmentFilters={departmentFilters}
+                            collegeFilters={collegeFilters}
+                            onToggleDepartment={toggleDepartmentFilter}
+                            onToggleCollege={toggleCollegeFilter}
+                          />
+                          {member.rank ? <div className="muted small">{member.rank}</div> : null}
+                        </td>
                         <td>
                           {member.programs?.length ? (
                             <div className="program-list">
@@ -0,0 +1,45 @@
+export const buildAcknowledgmentRate = (publications) => {
+  const total = publications.length;
+  const acknowledged = publications.filter((publication) => publication.ctsaAcknowledged).length;
+  return { acknowledged, total, rate: total ? acknowledged / total : null };
+};
+
+// A scholar's papers from before they joined a program do not count against it.
+export const countsTowardProgram = (publication, program) =>
+  !(publication.programPhases || []).some(
+    (entry) => entry.program === program && entry.phase === 'before'
+  );
+
+// Faculty rates leave out papers that predate every program the scholar joined.
+export const buildFacultyAcknowledgment = (publications, programs = []) =>
+  buildAcknowledgmentRate(
+    programs.length
+      ? publications.filter((publication) =>
+          programs.some((program) => countsTowardProgram(publication, program))
+        )
+      : publications
+  );
+
+export const buildProgramAcknowledgment = (
+  faculty,
+  getPublications = (member) => member.publications
+) => {
+  const byProgram = new Map();
+  faculty.forEach((member) => {
+    (member.programs || []).forEach((program) => {
+      if (!byProgram.has(program)) {
+        byProgram.set(program, new Map());
+      }
+      const publications = byProgram.get(program);
+      (getPublications(member) || []).forEach((publication) => {
+        if (countsTowardProgram(publication, program)) {
+          publications.set(String(publication.id), publication);
+        }
+      });
+    });
+  });
+  return Array.from(byProgram, ([program, publications]) => ({
+    program,
+    ...buildAcknowledgmentRate(Array.from(publications.values()))
+  })).sort((a, b) => a.program.localeCompare(b.program));
+};
@@ -0,0 +1,355 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+
+const API_URL = '/__curation/api';
+
+const FILTERS = [
+  { id: 'open', label: 'Needs review' },
+  { id: 'pending', label: 'Pending' },
+  { id: 'curated', label: 'Curated' },
+  { id: 'all', label: 'All' }
+];
+
+const VERDICT_LABELS = {
+  true_positive: 'True positive',
+  false_positive: 'False positive',
+  pending: 'Pending'
+};
+
+const AFFILIATION_LABELS = {
+  hit: 'affiliation matches',
+  missing: 'affiliation missing',
+  mismatch: 'affiliation mismatch'
+};
+
+const requestJson = async (pathname, options = {}) => {
+  const response = await fetch(`${API_URL}${pathname}`, {
+    ...options,
+    headers: { 'Content-Type': 'application/json' },
+    cache: 'no-store'
+  });
+  const payload = await response.json();
+  if (!response.ok) {
+    throw new Error(payload.error || `Request failed (${response.status})`);
+  }
+  return payload;
+};
+
+const matchesFilter = (candidate, filter) => {
+  if (filter === 'open') {
+    return !candidate.verdict || candidate.verdict === 'pending';
+  }
+  if (filter === 'pending') {
+    return candidate.verdict === 'pending';
+  }
+  if (filter === 'curated') {
+    return candidate.verdict === 'true_positive' || candidate.verdict === 'false_positive';
+  }
+  return true;
+};
+
+const formatScore = (score) => (Number.isFinite(score) ? score.toFixed(2) : '—');
+
+const AuthorList = ({ authors }) => {
+  const [expanded, setExpanded] = useState(false);
+  const matched = authors.find((author) => author.matched);
+  return (
+    <div className="wb-authors">
+      <p>
+        {authors.map((author, index) => (
+          <span key={author.position}>
+            {index > 0 ? ', ' : ''}
+            {author.matched ? <mark>{author.name}</mark> : author.name}
+          </span>
+        ))}
+      </p>
+      {matched ? (
+        <div className="wb-affiliations">
+          <strong>
+            {matched.name}
+            {matched.orcid ? ` · ORCID ${matched.orcid}` : ''}
+          </strong>
+          {matched.affiliations.length ? (
+            <ul>
+              {matched.affiliations.map((affiliation) => (
+                <li key={affiliation}>{affiliation}</li>
+              ))}
+            </ul>
+          ) : (
+            <p className="wb-muted">No affiliation listed.</p>
+          )}
+        </div>
+      ) : (
+        <p className="wb-muted">Matched author position unknown.</p>
+      )}
+      {authors.some((author) => !author.matched && author.affiliations.length) ? (
+        <button type="button" className="wb-link" onClick={() => setExpanded(!expanded)}>
+          {expanded ? 'Hide other affiliations' : 'Show all affiliations'}
+        </button>
+      ) : null}
+      {expanded ? (
+        <ul className="wb-all-affiliations">
+          {authors
+            .filter((author) => !author.matched && author.affiliations.length)
+            .map((author) => (
+              <li key={author.position}>
+                <strong>{author.name}:</strong> {author.affiliations.join(' | ')}
+              </li>
+            ))}
+        </ul>
+      ) : null}
+    </div>
+  );
+};
+
+const CandidateCard = ({ candidate, onVerdict, busy }) => {
+  const [note, setNote] = useState('');
+  const pubmedUrl = candidate.url || `https://pubmed.ncbi.nlm.nih.gov/${candidate.pmid}/`;
+  const submit = (verdict) => onVerdict(candidate, verdict, note).then(() => setNote(''));
+
+  return (
+    <article className={`wb-card ${candidate.verdict ? `is-${candidate.verdict}` : ''}`}>
+      <header className="wb-card-head">
+        <div>
+          <a href={pubmedUrl} target="_blank" rel="noreferrer">
+            <h3>{candidate.title || `PMID ${candidate.pmid} (not harvested yet)`}</h3>
+          </a>
+          <p className="wb-muted">
+            {candidate.journal || 'Unknown journal'}
+            {candidate.year ? `, ${candidate.year}` : ''} · PMID {candidate.pmid}
+            {candidate.doi ? ` · doi:${candidate.doi}` : ''}
+          </p>
+        </div>
+        <div className="wb-score" title={candidate.explanation || ''}>
+          <span>{formatScore(candidate.score)}</span>
+          <small>score</small>
+        </div>
+      </header>
+
+      <div className="chip-row">
+        {candidate.matchType ? <span className="chip">{candidate.matchType} match</span> : null}
+        {candidate.affiliation ? (
+          <span className={`chip wb-affiliation-${candidate.affiliation}`}>
+            {AFFILIATION_LABELS[candidate.affiliation] || candidate.affiliation}
+          </span>
+        ) : null}
+        {candidate.verdict ? (
+          <span className="chip is-active">{VERDICT_LABELS[candidate.verdict]}</span>
+        ) : null}
+      </div>
+      {candidate.explanation ? <p className="wb-muted">{candidate.explanation}</p> : null}
+      {candidate.reason ? <p className="wb-reason">Reason: {candidate.reason}</p> : null}
+
+      {candidate.authors.length ? <AuthorList authors={candidate.authors} /> : null}
+      {candidate.coauthors.length ? (
+        <p className="wb-coauthors">
+          <strong>Coauthors:</strong> {candidate.coauthors.join(', ')}
+        </p>
+      ) : null}
+
+      <footer className="wb-actions">
+        <input
+          type="text"
+          value={note}
+          placeholder="Reason (optional)"
+          onChange={(event) => setNote(event.target.value)}
+        />
+        <button
+          type="button"
+          className="wb-button is-true"
+          disabled={busy || candidate.verdict === 'true_positive'}
+          onClick={() => submit('true_positive')}
+        >
+          True positive
+        </button>
+        <button
+          type="button"
+          className="wb-button is-false"
+          disabled={busy || candidate.verdict === 'false_positive'}
+          onClick={() => submit('false_positive')}
+        >
+          False positive
+        </button>
+        {candidate.verdict ? (
+          <button
+            type="button"
+            className="wb-button"
+            disabled={busy}
+            onClick={() => submit(null)}
+          >
+            Clear
+          </button>
+        ) : null}
+      </footer>
+    </article>
+  );
+};
+
+const Workbench = () => {
+  const [session, setSession] = useState(null);
+  const [faculty, setFaculty] = useState([]);
+  const [query, setQuery] = useState('');
+  const [selectedId, setSelectedId] = useState('');
+  const [candidates, setCandidates] = useState([]);
+  const [filter, setFilter] = useState('open');
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const loadFaculty = useCallback(async () => {
+    const payload = await requestJson('/faculty');
+    setSession({ curator: payload.curator, batchId: payload.batchId });
+    setFaculty(payload.faculty);
+  }, []);
+
+  const loadCandidates = useCallback(async (facultyId) => {
+    const payload = await requestJson(`/candidates?faculty=${encodeURIComponent(facultyId)}`);
+    setCandidates(payload.candidates);
+  }, []);
+
+  useEffect(() => {
+    loadFaculty().catch((loadError) => setError(loadError.message));
+  }, [loadFaculty]);
+
+  useEffect(() => {
+    if (!selectedId) {
+      return;
+    }
+    setCandidates([]);
+    loadCandidates(selectedId).catch((loadError) => setError(loadError.message));
+  }, [selectedId, loadCandidates]);
+
+  const visibleFaculty = useMemo(() => {
+    const needle = query.trim().toLowerCase();
+    return faculty.filter(
+      (member) =>
+        !needle ||
+        member.id.includes(needle) ||
+        String(member.name || '').toLowerCase().includes(needle)
+    );
+  }, [faculty, query]);
+
+  const selected = faculty.find((member) => member.id === selectedId);
+  const visibleCandidates = candidates.filter((candidate) => matchesFilter(candidate, filter));
+
+  const handleVerdict = async (candidate, verdict, reason) => {
+    setBusy(true);
+    setError('');
+    try {
+      await requestJson('/verdict', {
+        method: 'POST',
+        body: JSON.stringify({ facultyId: selectedId, pmid: candidate.pmid, verdict, reason })
+      });
+      setMessage(
+        `PMID ${candidate.pmid}: ${verdict ? VERDICT_LABELS[verdict] : 'verdict cleared'}. Re-export to update public/data.`
+      );
+      await Promise.all([loadCandidates(selectedId), loadFaculty()]);
+    } catch (verdictError) {
+      setError(verdictError.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleExport = async () => {
+    setBusy(true);
+    setError('');
+    try {
+      await requestJson('/export', {
+        method: 'POST',
+        body: JSON.stringify({ facultyId: selectedId })
+      });
+      setMessage(
+        `Re-exported ${selected?.name || selectedId} to public/data/publications.json and grants.json.`
+      );
+    } catch (exportError) {
+      setError(exportError.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="wb">
+      <aside className="wb-sidebar">
+        <h1>Curation workbench</h1>
+        {session ? (
+          <p className="wb-muted">
+            {session.curator} · batch {session.batchId}
+          </p>
+        ) : null}
+        <input
+          type="search"
+          value={query}
+          placeholder="Filter faculty"
+          onChange={(event) => setQuery(event.target.value)}
+        />
+        <ul className="wb-faculty">
+          {visibleFaculty.map((member) => (
+            <li key={member.id}>
+              <button
+                type="button"
+                className={member.id === selectedId ? 'is-active' : ''}
+                onClick={() => setSelectedId(member.id)}
+              >
+                <span>{member.name || member.id}</span>
+                <small>
+                  {member.candidates} candidates
+                  {member.pending ? ` · ${member.pending} pending` : ''}
+                </small>
+              </button>
+            </li>
+          ))}
+        </ul>
+      </aside>
+
+      <main className="wb-main">
+        {error ? <p className="wb-error">{error}</p> : null}
+        {message ? <p className="wb-message">{message}</p> : null}
+        {selected ? (
+          <>
+            <header className="wb-main-head">
+              <div>
+                <h2>{selected.name}</h2>
+                <p className="wb-muted">
+                  {selected.department || 'No department'} · {selected.truePositives} true /{' '}
+                  {selected.falsePositives} false positives
+                </p>
+              </div>
+              <button type="button" className="button" disabled={busy} onClick={handleExport}>
+                Re-export
+              </button>
+            </header>
+            <div className="chip-row">
+              {FILTERS.map((entry) => (
+                <button
+                  key={entry.id}
+                  type="button"
+                  className={`chip ${filter === entry.id ? 'is-active' : ''}`}
+                  onClick={() => setFilter(entry.id)}
+                >
+                  {entry.label} ({candidates.filter((c) => matchesFilter(c, entry.id)).length})
+                </button>
+              ))}
+            </div>
+            {visibleCandidates.length ? (
+              visibleCandidates.map((candidate) => (
+                <CandidateCard
+                  key={candidate.pmid}
+                  candidate={candidate}
+                  busy={busy}
+                  onVerdict={handleVerdict}
+                />
+              ))
+            ) : (
+              <p className="wb-muted">Nothing to show for this filter.</p>
+            )}
+          </>
+        ) : (
+          <p className="wb-muted">Pick a faculty member to review their candidate publications.</p>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default Workbench;
@@ -0,0 +1,13 @@
+import React from 'react';
+import { createRoot } from 'react-dom/client';
+import Workbench from './Workbench.jsx';
+import '../styles.css';
+import './workbench.css';
+
+const root = createRoot(document.getElementById('root'));
+
+root.render(
+  <React.StrictMode>
+    <Workbench />
+  </React.StrictMode>
+);
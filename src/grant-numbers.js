@@ -0,0 +1,40 @@
+export const extractCoreGrantNumber = (value) => {
+  if (!value) {
+    return '';
+  }
+  const base = String(value).split('-')[0];
+  const stripped = base.replace(/^[0-9]+/, '');
+  return (stripped || base).toUpperCase();
+};
+
+export const parseGrantCore = (value) => {
+  const coreNumber = extractCoreGrantNumber(value);
+  if (!coreNumber) {
+    return { coreNumber: '', activity: '', institute: '', serial: '' };
+  }
+  const match = coreNumber.match(/^([A-Z0-9]+?)([A-Z]{2})(\d+)$/);
+  if (!match) {
+    return { coreNumber, activity: '', institute: '', serial: '' };
+  }
+  return {
+    coreNumber,
+    activity: match[1],
+    institute: match[2],
+    serial: match[3]
+  };
+};
+
+// PubMed grant IDs are typed by authors: "R01 CA123456", "5R01-CA-123456-03", "UL1TR2494".
+const CITED_NIH_GRANT_PATTERN =
+  /(?:^|[^A-Z0-9])[1-9]?([A-Z][A-Z0-9]{2})[\s-]*([A-Z]{2})[\s-]*0*(\d{1,6})(?!\d)/;
+
+export const normalizeCitedGrantNumber = (value) => {
+  const match = String(value || '')
+    .toUpperCase()
+    .match(CITED_NIH_GRANT_PATTERN);
+  if (!match) {
+    return '';
+  }
+  const parsed = parseGrantCore(`${match[1]}${match[2]}${match[3].padStart(6, '0')}`);
+  return parsed.activity ? parsed.coreNumber : '';
+};
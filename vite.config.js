@@ -1,10 +1,16 @@
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
+import { curationWorkbench } from './scripts/curation-workbench.mjs';
 
 export default defineConfig({
   base: './',
-  plugins: [react()],
+  plugins: [react(), curationWorkbench()],
   server: {
     allowedHosts: ['ctsi.ngrok.io']
+  },
+  build: {
+    rollupOptions: {
+      input: 'index.html'
+    }
   }
 });